@@ -0,0 +1,104 @@
+// lib/anomaly.js
+// 토큰 공유 / 재전송(replay) / IP·기기 군집 탐지
+// - 세션별로 아래 인덱스를 메모리에 유지한다. (재시작 시 저장된 스캔으로 다시 구성)
+//     cipher   → 그 토큰을 제출한 studentId 집합
+//     ip       → 그 IP에서 제출한 studentId 집합
+//     deviceId → 그 기기(attend.js가 localStorage에 만든 id)에서 제출한 studentId 집합
+// - 스캔 한 건마다 붙는 플래그
+//     "shared_token" : 다른 학생이 이미 제출한 cipher (캡처한 토큰을 친구에게 전달한 경우)
+//     "replay"       : 같은 학생이 같은 cipher를 다시 제출
+//     "shared_device": 같은 기기에서 2명 이상의 학번이 제출됨
+//     "shared_ip"    : 같은 IP에서 ipClusterMin 명 이상의 학번이 제출됨
+//                      (강의실 NAT 환경에서는 참고용으로만 본다)
+
+function addToSetMap(map, key, value) {
+  let set = map.get(key);
+  if (!set) {
+    set = new Set();
+    map.set(key, set);
+  }
+  const added = !set.has(value);
+  set.add(value);
+  return { set, added };
+}
+
+// options.ipClusterMin : shared_ip 플래그를 붙일 최소 학생 수 (기본 2)
+function createAnomalyTracker(store, { ipClusterMin = 2 } = {}) {
+  // sessionId → { byCipher, byIp, byDevice }
+  const indexes = new Map();
+
+  function observeInto(index, scan) {
+    const flags = [];
+    const { studentId } = scan;
+
+    const byCipher = addToSetMap(index.byCipher, scan.cipher, studentId);
+    if (!byCipher.added) flags.push("replay");
+    if (byCipher.set.size > 1) flags.push("shared_token");
+
+    if (scan.deviceId) {
+      const byDevice = addToSetMap(index.byDevice, scan.deviceId, studentId);
+      if (byDevice.set.size > 1) flags.push("shared_device");
+    }
+    if (scan.ip) {
+      const byIp = addToSetMap(index.byIp, scan.ip, studentId);
+      if (byIp.set.size >= ipClusterMin) flags.push("shared_ip");
+    }
+    return flags;
+  }
+
+  function indexFor(sessionId) {
+    const key = String(sessionId);
+    let index = indexes.get(key);
+    if (!index) {
+      index = { byCipher: new Map(), byIp: new Map(), byDevice: new Map() };
+      for (const scan of store.listScans(sessionId)) observeInto(index, scan);
+      indexes.set(key, index);
+    }
+    return index;
+  }
+
+  // 새 스캔을 인덱스에 반영하고 붙일 플래그 배열을 반환 (저장 전에 호출)
+  function observe(sessionId, scan) {
+    return observeInto(indexFor(sessionId), scan);
+  }
+
+  // 학생별 의심 요약: 토큰을 공유한 상대 / 같은 IP·기기를 쓴 다른 학번
+  function summarize(sessionId) {
+    const index = indexFor(sessionId);
+    const result = {};
+    const entryFor = (studentId) => {
+      if (!result[studentId]) {
+        result[studentId] = {
+          sharedTokenWith: new Set(),
+          ipPeers: new Set(),
+          devicePeers: new Set(),
+        };
+      }
+      return result[studentId];
+    };
+    const collect = (map, field, minSize) => {
+      for (const set of map.values()) {
+        if (set.size < minSize) continue;
+        for (const studentId of set) {
+          for (const peer of set) {
+            if (peer !== studentId) entryFor(studentId)[field].add(peer);
+          }
+        }
+      }
+    };
+    collect(index.byCipher, "sharedTokenWith", 2);
+    collect(index.byDevice, "devicePeers", 2);
+    collect(index.byIp, "ipPeers", ipClusterMin);
+
+    for (const entry of Object.values(result)) {
+      entry.sharedTokenWith = Array.from(entry.sharedTokenWith);
+      entry.ipPeers = Array.from(entry.ipPeers);
+      entry.devicePeers = Array.from(entry.devicePeers);
+    }
+    return result;
+  }
+
+  return { observe, summarize };
+}
+
+module.exports = { createAnomalyTracker };
@@ -0,0 +1,217 @@
+// lib/attendance.js
+// server 검증 모드 세션의 스캔 판정 및 학생별 최종 출석 상태 기록
+// - 스캔 판정(verdict)
+//   - "rejected": 복호화 실패(위조/다른 세션 토큰/허용 시간이 지난 이전 키), 모르는 payload 형식,
+//                 강의실 코드 또는 세션 번호(payload v2) 불일치,
+//                 신선도 창(세션의 freshWindowMs)을 벗어난 토큰
+//   - "late"    : 유효한 토큰이지만 세션 시작 후 lateAfterMin 분이 지나서 수신
+//   - "present" : 그 외 유효한 토큰
+//   - "pending" : /attend 대기열에서 신선도 창보다 늦게 도착한 스캔 (server.js recordScan)
+//                 캡처 시각이 학생 기기가 보고한 값이므로 출석으로 인정하지 않고 교수 확인(수동 처리)을 기다린다.
+//                 최종 상태에는 반영하지 않는다.
+// - 학생별 최종 상태는 "attendance" 컬렉션(id = "<sessionId>:<studentId>")에 기록하며,
+//   present > late > rejected 순으로 더 좋은 판정이 나올 때만 갱신한다.
+// - 교수 수동 처리(override): 자동 판정과 별도로 "overrides" 컬렉션(id 동일)에 두고,
+//   출석부에서는 자동 판정보다 우선한다. 이유는 필수이며,
+//   모든 변경은 "audit" 컬렉션에 누가/언제/무엇을(이전 → 새 상태) 바꿨는지 추가만 한다.
+
+const { decryptToken, decodePayload, tokenAgeMs } = require("./token");
+const { SessionError } = require("./sessions");
+
+const VERDICT_RANK = { rejected: 0, late: 1, present: 2 };
+
+// 교수가 지정할 수 있는 상태 ("auto" = 수동 처리 해제, 자동 판정으로 되돌림)
+// - excused: 공결 / proxy: 대리 출석 적발
+const OVERRIDE_STATUSES = ["present", "late", "absent", "excused", "proxy", "auto"];
+const OVERRIDE_REASON_MAX = 500;
+
+function attendanceId(sessionId, studentId) {
+  return `${sessionId}:${studentId}`;
+}
+
+// 스캔의 판정 기준 시각: 보통은 서버 수신 시각 (대기열 스캔도 마찬가지, 기기 시계는 믿지 않는다)
+// - 체크인으로 모아 보낸 프레임: 수신 시각에서 마지막 프레임과의 캡처 간격(checkinOffsetMs)을 뺀 시각
+function scanTime(scan) {
+  if (typeof scan.checkinOffsetMs === "number") {
+    return scan.serverRecvTs - scan.checkinOffsetMs;
+  }
+  return scan.serverRecvTs;
+}
+
+// options.freshWindowMs : 세션에 freshWindowMs가 없을 때 쓰는 신선도 창(ms)
+// options.futureSkewMs  : 시계 오차로 토큰이 "미래"에 생성된 것처럼 보여도 허용할 범위
+function createAttendance(store, { freshWindowMs = 3000, futureSkewMs = 500 } = {}) {
+  // 토큰 하나를 검증하여 { verdict, delta, reason } 반환
+  // - tokenKeys: 수신 시각에 받아줄 토큰 키 [{ keyId, key }] (sessions.acceptedTokenKeys)
+  //   GCM 인증 태그가 맞는 키가 토큰을 만든 키다.
+  function verifyScan(session, tokenKeys, cipher, serverRecvTs) {
+    let payload = null;
+    let keyId = null;
+    for (const candidate of tokenKeys) {
+      payload = decryptToken(candidate.key, cipher);
+      if (payload) {
+        keyId = candidate.keyId;
+        break;
+      }
+    }
+    if (!payload) {
+      return { verdict: "rejected", delta: null, reason: "bad_token" };
+    }
+    const parsed = decodePayload(payload);
+    if (!parsed) {
+      return { verdict: "rejected", delta: null, reason: "unsupported_payload" };
+    }
+    if (parsed.keyId !== null && parsed.keyId !== keyId) {
+      return { verdict: "rejected", delta: null, reason: "key_mismatch" };
+    }
+    if (parsed.roomCode !== session.roomCode) {
+      return { verdict: "rejected", delta: null, reason: "room_mismatch" };
+    }
+    if (parsed.sessionId !== null && parsed.sessionId !== session.id) {
+      return { verdict: "rejected", delta: null, reason: "session_mismatch" };
+    }
+
+    return classify(session, tokenAgeMs(serverRecvTs, parsed), serverRecvTs);
+  }
+
+  // 토큰 경과 시간(delta)과 수신 시각으로 판정
+  // - browser 모드 세션은 교수 페이지가 보고한 delta로 같은 기준을 적용한다 (출석부 내보내기).
+  function classify(session, delta, serverRecvTs) {
+    if (delta < -futureSkewMs) {
+      return { verdict: "rejected", delta, reason: "future_token" };
+    }
+    if (delta > (session.freshWindowMs || freshWindowMs)) {
+      return { verdict: "rejected", delta, reason: "stale_token" };
+    }
+
+    const lateAt = session.startAt + (session.lateAfterMin || 0) * 60 * 1000;
+    if (serverRecvTs > lateAt) {
+      return { verdict: "late", delta, reason: null };
+    }
+    return { verdict: "present", delta, reason: null };
+  }
+
+  // 학생의 최종 출석 상태 갱신 (더 좋은 판정일 때만)
+  function recordVerdict(session, studentId, { verdict, delta }, serverRecvTs) {
+    const id = attendanceId(session.id, studentId);
+    const prev = store.get("attendance", id);
+    if (!prev) {
+      return store.insert("attendance", {
+        id,
+        sessionId: session.id,
+        courseId: session.courseId,
+        studentId,
+        status: verdict,
+        delta,
+        decidedAt: serverRecvTs,
+      });
+    }
+    if (VERDICT_RANK[verdict] > VERDICT_RANK[prev.status]) {
+      return store.update("attendance", id, {
+        status: verdict,
+        delta,
+        decidedAt: serverRecvTs,
+      });
+    }
+    return prev;
+  }
+
+  function getAttendance(sessionId, studentId) {
+    return store.get("attendance", attendanceId(sessionId, studentId));
+  }
+
+  function listAttendance(sessionId) {
+    return store.list(
+      "attendance",
+      (a) => String(a.sessionId) === String(sessionId)
+    );
+  }
+
+  // 학생 상태 수동 지정. actor = 변경한 사람 (로그인 계정 id 등)
+  function setOverride(session, studentId, { status, reason } = {}, actor) {
+    if (typeof studentId !== "string" || !studentId || studentId.length > 64) {
+      throw new SessionError("invalid_student_id");
+    }
+    if (!OVERRIDE_STATUSES.includes(status)) {
+      throw new SessionError("invalid_status");
+    }
+    const trimmed = typeof reason === "string" ? reason.trim() : "";
+    if (!trimmed) throw new SessionError("reason_required");
+    if (trimmed.length > OVERRIDE_REASON_MAX) throw new SessionError("reason_too_long");
+
+    const id = attendanceId(session.id, studentId);
+    const prev = store.get("overrides", id);
+    const previousStatus = prev ? prev.status : null;
+    const now = Date.now();
+    const record = {
+      status: status === "auto" ? null : status,
+      reason: trimmed,
+      actor,
+      updatedAt: now,
+    };
+    const override = prev
+      ? store.update("overrides", id, record)
+      : store.insert("overrides", {
+          id,
+          sessionId: session.id,
+          courseId: session.courseId,
+          studentId,
+          ...record,
+        });
+
+    store.insert("audit", {
+      action: "override",
+      sessionId: session.id,
+      courseId: session.courseId,
+      studentId,
+      previousStatus,
+      status: override.status,
+      reason: trimmed,
+      actor,
+      at: now,
+    });
+    return override;
+  }
+
+  // 학생 한 명의 현재 수동 처리 (없거나 해제됐으면 null)
+  function getOverride(sessionId, studentId) {
+    const override = store.get("overrides", attendanceId(sessionId, studentId));
+    return override && override.status !== null ? override : null;
+  }
+
+  // 현재 유효한 수동 처리 (해제된 것 제외)
+  function listOverrides(sessionId) {
+    return store.list(
+      "overrides",
+      (o) => String(o.sessionId) === String(sessionId) && o.status !== null
+    );
+  }
+
+  // 변경 이력 (오래된 순)
+  function listAudit(sessionId) {
+    return store.list(
+      "audit",
+      (a) => String(a.sessionId) === String(sessionId)
+    );
+  }
+
+  return {
+    verifyScan,
+    classify,
+    recordVerdict,
+    getAttendance,
+    listAttendance,
+    setOverride,
+    getOverride,
+    listOverrides,
+    listAudit,
+  };
+}
+
+module.exports = {
+  createAttendance,
+  attendanceId,
+  scanTime,
+  VERDICT_RANK,
+  OVERRIDE_STATUSES,
+};
@@ -0,0 +1,244 @@
+// lib/auth.js
+// 학생 인증: 로컬 계정(비밀번호 해시) + 서명된 세션 쿠키
+// - 계정은 "users" 컬렉션(id = studentId)에 저장한다. (비밀번호 해시가 있으므로 파일 권한 0600)
+//     { id, name, role: "student" | "professor", provider: "local" | "oidc", passwordHash, createdAt }
+// - 교수 계정은 가입할 때 서버에 설정된 초대 코드(PROFESSOR_INVITE_CODE)를 함께 보내야 만들어진다.
+// - 학교 계정(OIDC) 로그인은 OIDC로 만들어진 학생 계정(provider "oidc")에만 연결한다.
+//   같은 학번의 로컬 계정이나 교수 계정이 이미 있으면 로그인을 거부한다 (학번만으로 남의 계정을 쓰지 못하도록).
+//   출석 로그 / 세션 관리 API는 교수 계정만 쓸 수 있다 (requireProfessor).
+// - 비밀번호는 scrypt(랜덤 salt)로 해시하여 "scrypt$<salt>$<hash>" 형식으로 보관한다.
+// - 로그인에 성공하면 HMAC-SHA256으로 서명한 토큰을 HttpOnly 쿠키(qa_session)로 내려준다.
+//     토큰 = base64url(JSON { sub, iat, exp }) + "." + base64url(HMAC)
+//   쿠키를 쓸 수 없는 클라이언트는 같은 토큰을 Authorization: Bearer 헤더로 보낼 수 있다.
+
+const crypto = require("crypto");
+const { SessionError } = require("./sessions");
+
+const COOKIE_NAME = "qa_session";
+const SCRYPT_KEYLEN = 32;
+const STUDENT_ID_RE = /^[A-Za-z0-9_-]{1,32}$/;
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(password, salt, SCRYPT_KEYLEN);
+  return `scrypt$${salt.toString("base64")}$${hash.toString("base64")}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, saltB64, hashB64] = String(stored || "").split("$");
+  if (scheme !== "scrypt" || !saltB64 || !hashB64) return false;
+  const expected = Buffer.from(hashB64, "base64");
+  const actual = crypto.scryptSync(
+    password,
+    Buffer.from(saltB64, "base64"),
+    expected.length
+  );
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// Cookie 헤더 → { name: value }
+function parseCookies(header) {
+  const cookies = {};
+  for (const part of String(header || "").split(";")) {
+    const eq = part.indexOf("=");
+    if (eq < 0) continue;
+    const name = part.slice(0, eq).trim();
+    if (!name) continue;
+    try {
+      cookies[name] = decodeURIComponent(part.slice(eq + 1).trim());
+    } catch {
+      cookies[name] = part.slice(eq + 1).trim();
+    }
+  }
+  return cookies;
+}
+
+// 초대 코드 비교 (길이가 달라도 시간 차이가 나지 않도록 해시로 비교)
+function inviteCodeMatches(given, expected) {
+  if (!expected || typeof given !== "string" || !given) return false;
+  const digest = (v) => crypto.createHash("sha256").update(v).digest();
+  return crypto.timingSafeEqual(digest(given), digest(expected));
+}
+
+// options.secret              : 토큰 서명 키 (Buffer 또는 문자열)
+// options.ttlMs               : 로그인 유지 시간 (기본 12시간)
+// options.professorInviteCode : 교수 계정 가입용 초대 코드 (없으면 교수 가입 불가)
+// options.localStudentRegistration : 로컬 학생 계정 가입 허용 (false면 초대 코드 없는 가입 거부)
+function createAuth(
+  store,
+  {
+    secret,
+    ttlMs = 12 * 60 * 60 * 1000,
+    professorInviteCode = "",
+    localStudentRegistration = true,
+  } = {}
+) {
+  store.restrictCollection("users");
+
+  function sign(body) {
+    return crypto.createHmac("sha256", secret).update(body).digest("base64url");
+  }
+
+  function issueToken(userId, now = Date.now()) {
+    const body = Buffer.from(
+      JSON.stringify({ sub: userId, iat: now, exp: now + ttlMs })
+    ).toString("base64url");
+    return `${body}.${sign(body)}`;
+  }
+
+  // 서명/만료 확인 후 사용자 id 반환 (유효하지 않으면 null)
+  function verifyToken(token) {
+    const [body, sig] = String(token || "").split(".");
+    if (!body || !sig) return null;
+    const expected = Buffer.from(sign(body));
+    const actual = Buffer.from(sig);
+    if (
+      expected.length !== actual.length ||
+      !crypto.timingSafeEqual(expected, actual)
+    ) {
+      return null;
+    }
+    try {
+      const claims = JSON.parse(Buffer.from(body, "base64url").toString());
+      if (!claims.sub || Date.now() >= claims.exp) return null;
+      return claims.sub;
+    } catch {
+      return null;
+    }
+  }
+
+  // 역할이 없는 이전 계정은 학생으로 본다.
+  function roleOf(user) {
+    return (user && user.role) || "student";
+  }
+
+  function toPublicUser(user) {
+    if (!user) return null;
+    const { passwordHash, ...rest } = user;
+    return { ...rest, role: roleOf(user) };
+  }
+
+  // inviteCode 가 있으면 교수 계정 가입 (틀리면 거부)
+  function register({ studentId, password, name, inviteCode } = {}) {
+    if (!STUDENT_ID_RE.test(String(studentId || ""))) {
+      throw new SessionError("invalid_student_id");
+    }
+    if (typeof password !== "string" || password.length < 8) {
+      throw new SessionError("weak_password");
+    }
+    if (inviteCode !== undefined && !inviteCodeMatches(inviteCode, professorInviteCode)) {
+      throw new SessionError("invalid_invite_code", 403);
+    }
+    if (inviteCode === undefined && !localStudentRegistration) {
+      throw new SessionError("registration_disabled", 403);
+    }
+    if (store.get("users", studentId)) {
+      throw new SessionError("user_exists", 409);
+    }
+    return store.insert("users", {
+      id: studentId,
+      name: typeof name === "string" ? name.slice(0, 64) : "",
+      role: inviteCode !== undefined ? "professor" : "student",
+      provider: "local",
+      passwordHash: hashPassword(password),
+      createdAt: Date.now(),
+    });
+  }
+
+  function login({ studentId, password } = {}) {
+    const user = store.get("users", studentId);
+    if (
+      !user ||
+      typeof password !== "string" ||
+      !verifyPassword(password, user.passwordHash)
+    ) {
+      throw new SessionError("invalid_credentials", 401);
+    }
+    return user;
+  }
+
+  // 외부 IdP(OIDC)로 확인된 사용자: 없으면 만들고, OIDC로 만든 학생 계정이면 그대로 사용
+  // - 같은 학번의 로컬 계정 / 교수 계정이 있으면 409 account_conflict (자동으로 연결하지 않는다)
+  function upsertExternalUser({ studentId, name }) {
+    if (!STUDENT_ID_RE.test(String(studentId || ""))) {
+      throw new SessionError("invalid_student_id");
+    }
+    const user = store.get("users", studentId);
+    if (user) {
+      if (user.provider !== "oidc" || roleOf(user) !== "student") {
+        throw new SessionError("account_conflict", 409);
+      }
+      return user;
+    }
+    return store.insert("users", {
+      id: studentId,
+      name: name || "",
+      role: "student",
+      provider: "oidc",
+      passwordHash: null,
+      createdAt: Date.now(),
+    });
+  }
+
+  function setSessionCookie(req, res, userId) {
+    const token = issueToken(userId);
+    res.cookie(COOKIE_NAME, token, {
+      httpOnly: true,
+      sameSite: "lax",
+      secure: req.secure,
+      maxAge: ttlMs,
+      path: "/",
+    });
+    return token;
+  }
+
+  function clearSessionCookie(res) {
+    res.clearCookie(COOKIE_NAME, { path: "/" });
+  }
+
+  // 모든 요청에 req.user 를 채운다 (로그인하지 않았으면 null)
+  function attachUser(req, res, next) {
+    const header = req.headers.authorization || "";
+    const token = header.startsWith("Bearer ")
+      ? header.slice(7)
+      : parseCookies(req.headers.cookie)[COOKIE_NAME];
+    const userId = token ? verifyToken(token) : null;
+    req.user = userId ? store.get("users", userId) : null;
+    next();
+  }
+
+  function requireUser(req, res, next) {
+    if (!req.user) {
+      return res.status(401).json({ ok: false, error: "login_required" });
+    }
+    next();
+  }
+
+  function requireProfessor(req, res, next) {
+    if (!req.user) {
+      return res.status(401).json({ ok: false, error: "login_required" });
+    }
+    if (roleOf(req.user) !== "professor") {
+      return res.status(403).json({ ok: false, error: "professor_only" });
+    }
+    next();
+  }
+
+  return {
+    register,
+    login,
+    upsertExternalUser,
+    toPublicUser,
+    issueToken,
+    verifyToken,
+    setSessionCookie,
+    clearSessionCookie,
+    attachUser,
+    requireUser,
+    requireProfessor,
+    roleOf,
+    localStudentRegistration,
+  };
+}
+
+module.exports = { createAuth, parseCookies, hashPassword, verifyPassword };
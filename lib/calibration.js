@@ -0,0 +1,256 @@
+// lib/calibration.js
+// 강의실 교정(calibration): 실제 수업 전에 강의실 화면 / 학생 휴대폰으로 정상 지연을 잰다.
+// - 교수 화면(/calibrate)이 시험 패턴(TS=<서버 ms>;CAL=<교정 id>)을 띄우고,
+//   여러 학생 휴대폰(/calibrate/scan)이 찍은 캡처 지연(찍은 시각 - TS, 서버 시계 기준)과
+//   디코딩 시간 / RTT / 인식률을 주기적으로 보고한다.
+// - 컬렉션
+//   - "calibrations"        : { courseId, roomCode, ownerId, status("open" | "closed"), createdAt, expiresAt }
+//   - "calibration_reports" : 보고 한 번 = 레코드 한 줄 { calibrationId, userId, deviceId, latencies[], ... }
+//   - "rooms"               : id = "<courseId>:<roomCode>", 적용한 교정 결과 { calibrationId, profile, scoring, appliedAt }
+// - 요약: 기기별 평균을 먼저 내고, 기기 평균들의 median / MAD 로 강의실 기준을 잡는다.
+//   (보고를 많이 보낸 기기 하나가 기준을 끌고 가지 않도록)
+//   deviceId 는 휴대폰이 정한 값이므로 기기는 로그인한 계정(userId)으로 묶는다. (계정 하나 = 기기 하나)
+//   계정 하나가 deviceId 를 바꿔 가며 보고해도 기기 수 / 기준에는 한 대로만 들어간다.
+// - 적용하면 그 강의실에서 새로 만드는 세션이 교정 기준(public/stats.js "calibrated" 모델)을 쓴다.
+
+const { median } = require("../public/stats");
+const { isSafeId } = require("./store");
+const { SessionError, parseRoomCode } = require("./sessions");
+
+const CALIBRATION_TTL_MS = 30 * 60 * 1000;
+const REPORT_MAX_SAMPLES = 200;
+const DEVICE_MAX_SAMPLES = 1000;
+const LATENCY_MAX_MS = 10000;
+const DEVICE_ID_RE = /^[A-Za-z0-9_-]{1,64}$/;
+const ENGINE_MAX = 32;
+// 정상 편차 / 데드존 하한 (기기가 비슷하게 나와도 σ 가 0 에 가까워지지 않도록)
+const MIN_SPREAD_MS = 20;
+
+function roomId(courseId, roomCode) {
+  return `${courseId}:${roomCode}`;
+}
+
+// 0 이상 유한한 숫자 (없으면 null)
+function optionalNumber(value, max) {
+  if (value === undefined || value === null) return null;
+  const n = Number(value);
+  if (!Number.isFinite(n) || n < 0 || n > max) {
+    throw new SessionError("invalid_report");
+  }
+  return n;
+}
+
+function round(value) {
+  return value === null ? null : Math.round(value * 10) / 10;
+}
+
+// options.minDevices : 적용하려면 필요한 기기 수 (서로 다른 계정 수)
+// options.minSamples : 기기 하나를 요약에 넣으려면 필요한 캡처 지연 샘플 수
+function createCalibrationManager(store, { minDevices = 3, minSamples = 20 } = {}) {
+  function expireIfNeeded(calibration, now = Date.now()) {
+    if (calibration.status === "open" && now > calibration.expiresAt) {
+      return store.update("calibrations", calibration.id, { status: "closed" });
+    }
+    return calibration;
+  }
+
+  function startCalibration({ courseId, roomCode } = {}, user) {
+    if (!courseId || !isSafeId(courseId)) {
+      throw new SessionError("invalid_course");
+    }
+    const now = Date.now();
+    return store.insert("calibrations", {
+      courseId,
+      roomCode: parseRoomCode(roomCode ?? 1),
+      ownerId: user.id,
+      status: "open",
+      createdAt: now,
+      expiresAt: now + CALIBRATION_TTL_MS,
+    });
+  }
+
+  function getCalibration(id) {
+    const calibration = store.get("calibrations", id);
+    return calibration ? expireIfNeeded(calibration) : null;
+  }
+
+  function closeCalibration(id) {
+    const calibration = getCalibration(id);
+    if (!calibration || calibration.status === "closed") return calibration;
+    return store.update("calibrations", id, { status: "closed" });
+  }
+
+  // 휴대폰 보고 한 번 저장
+  // - latencies: 캡처 지연(ms) 배열 (REPORT_MAX_SAMPLES 개까지, 0 ~ LATENCY_MAX_MS)
+  // - decodeMs / rttMs / decodeFps / successRate(0~1) / engine 은 기기 상태 (선택)
+  function addReport(id, body = {}, user) {
+    const calibration = getCalibration(id);
+    if (!calibration) throw new SessionError("calibration_not_found", 404);
+    if (calibration.status !== "open") {
+      throw new SessionError("calibration_closed", 409);
+    }
+    const { deviceId, latencies, engine } = body;
+    if (!DEVICE_ID_RE.test(String(deviceId || ""))) {
+      throw new SessionError("invalid_report");
+    }
+    if (
+      !Array.isArray(latencies) ||
+      latencies.length > REPORT_MAX_SAMPLES ||
+      !latencies.every(
+        (v) => typeof v === "number" && v >= 0 && v <= LATENCY_MAX_MS
+      )
+    ) {
+      throw new SessionError("invalid_report");
+    }
+    return store.insert("calibration_reports", {
+      calibrationId: calibration.id,
+      userId: user.id,
+      deviceId: String(deviceId),
+      latencies: latencies.map(Math.round),
+      decodeMs: optionalNumber(body.decodeMs, LATENCY_MAX_MS),
+      rttMs: optionalNumber(body.rttMs, LATENCY_MAX_MS),
+      decodeFps: optionalNumber(body.decodeFps, 1000),
+      successRate: optionalNumber(body.successRate, 1),
+      engine: engine ? String(engine).slice(0, ENGINE_MAX) : null,
+      receivedAt: Date.now(),
+    });
+  }
+
+  // 기기별 요약 + 강의실 기준 제안
+  // - baselineMs : 기기 평균 캡처 지연들의 median (화면 표시 ~ 카메라 캡처)
+  // - spreadMs   : 기기 평균들의 MAD × 1.4826 (정규분포 σ 추정, 하한 MIN_SPREAD_MS)
+  // - uplinkMs   : 기기별 (디코딩 시간 + RTT/2) 의 median (캡처 ~ 서버 도착)
+  function summarize(id) {
+    const calibration = getCalibration(id);
+    if (!calibration) return null;
+    const reports = store.list(
+      "calibration_reports",
+      (r) => r.calibrationId === calibration.id
+    );
+
+    const byUser = new Map(); // userId → { latencies, reports, latest }
+    for (const report of reports) {
+      let device = byUser.get(report.userId);
+      if (!device) {
+        device = { latencies: [], reports: 0, latest: null };
+        byUser.set(report.userId, device);
+      }
+      device.latencies.push(...report.latencies);
+      device.reports += 1;
+      device.latest = report;
+    }
+
+    const devices = [...byUser].map(([userId, d]) => {
+      const samples = d.latencies.slice(-DEVICE_MAX_SAMPLES);
+      const count = samples.length;
+      const sorted = [...samples].sort((a, b) => a - b);
+      const latest = d.latest;
+      return {
+        deviceId: latest.deviceId,
+        userId,
+        reports: d.reports,
+        count,
+        meanMs: count ? samples.reduce((s, v) => s + v, 0) / count : null,
+        medianMs: count ? median(samples) : null,
+        p90Ms: count ? sorted[Math.min(count - 1, Math.floor(count * 0.9))] : null,
+        decodeMs: latest.decodeMs,
+        rttMs: latest.rttMs,
+        decodeFps: latest.decodeFps,
+        successRate: latest.successRate,
+        engine: latest.engine,
+        valid: count >= minSamples,
+      };
+    });
+
+    const valid = devices.filter((d) => d.valid);
+    let profile = null;
+    if (valid.length > 0) {
+      const means = valid.map((d) => d.meanMs);
+      const baselineMs = median(means);
+      const mad = median(means.map((m) => Math.abs(m - baselineMs)));
+      const spreadMs = Math.max(MIN_SPREAD_MS, 1.4826 * mad);
+      const uplinks = valid
+        .filter((d) => d.decodeMs !== null && d.rttMs !== null)
+        .map((d) => d.decodeMs + d.rttMs / 2);
+      const uplinkMs = uplinks.length ? median(uplinks) : 0;
+      profile = {
+        devices: valid.length,
+        samples: valid.reduce((s, d) => s + d.count, 0),
+        baselineMs: Math.round(baselineMs),
+        spreadMs: Math.round(spreadMs),
+        uplinkMs: Math.round(uplinkMs),
+      };
+    }
+
+    return {
+      devices: devices.map((d) => ({
+        ...d,
+        meanMs: round(d.meanMs),
+        medianMs: round(d.medianMs),
+        decodeMs: round(d.decodeMs),
+        rttMs: round(d.rttMs),
+        decodeFps: round(d.decodeFps),
+      })),
+      profile,
+      scoring: profile
+        ? {
+            model: "calibrated",
+            params: {
+              baselineMs: profile.baselineMs,
+              uplinkMs: profile.uplinkMs,
+              spreadMs: profile.spreadMs,
+              deadZoneMs: profile.spreadMs,
+              z1: 1,
+              z2: 2,
+              z3: 3,
+            },
+          }
+        : null,
+      minDevices,
+      minSamples,
+      ready: valid.length >= minDevices,
+    };
+  }
+
+  // 교정 결과를 강의실 기준으로 저장하고 교정을 닫는다.
+  // 기기 수가 모자라면 SessionError("calibration_insufficient", 409)
+  function applyCalibration(id) {
+    const calibration = getCalibration(id);
+    if (!calibration) throw new SessionError("calibration_not_found", 404);
+    const summary = summarize(id);
+    if (!summary.ready) {
+      throw new SessionError("calibration_insufficient", 409);
+    }
+    const key = roomId(calibration.courseId, calibration.roomCode);
+    const record = {
+      courseId: calibration.courseId,
+      roomCode: calibration.roomCode,
+      calibrationId: calibration.id,
+      profile: summary.profile,
+      scoring: summary.scoring,
+      appliedAt: Date.now(),
+    };
+    const room = store.get("rooms", key)
+      ? store.update("rooms", key, record)
+      : store.insert("rooms", { id: key, ...record });
+    closeCalibration(id);
+    return room;
+  }
+
+  // 강의실에 적용된 교정 결과 (없으면 null)
+  function getRoomProfile(courseId, roomCode) {
+    return store.get("rooms", roomId(courseId, roomCode)) || null;
+  }
+
+  return {
+    startCalibration,
+    getCalibration,
+    closeCalibration,
+    addReport,
+    summarize,
+    applyCalibration,
+    getRoomProfile,
+  };
+}
+
+module.exports = { createCalibrationManager };
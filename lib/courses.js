@@ -0,0 +1,76 @@
+// lib/courses.js
+// 강의(course) 소유권 / 조교 권한
+// - "courses" 컬렉션 (id = courseId, { ownerId, tas: [계정 id], createdAt })
+// - 강의를 처음 쓰는(세션 생성 / 명단 / 의심률 기준 저장) 교수 계정이 소유자가 된다.
+//   소유자가 없는 이전 강의 레코드도 처음 쓰는 교수 계정이 가져간다.
+// - 권한
+//   - "owner": 소유 교수. QR 송출, 세션 생성 / 종료, 수동 처리, 명단 / 기준 저장 등 모든 작업
+//   - "ta"   : 소유 교수가 지정한 조교 계정. 출석 로그 / 실시간 표 / 출석부 조회만 (읽기 전용)
+
+const { SessionError } = require("./sessions");
+
+const ACCOUNT_ID_RE = /^[A-Za-z0-9_-]{1,32}$/;
+const TA_MAX = 20;
+
+function createCourseManager(store) {
+  function getCourse(courseId) {
+    return store.get("courses", courseId);
+  }
+
+  // 강의에 대한 계정의 권한 ("owner" | "ta" | null)
+  function accessOf(courseId, user) {
+    const course = user ? getCourse(courseId) : null;
+    if (!course) return null;
+    if (course.ownerId === user.id && user.role === "professor") return "owner";
+    if ((course.tas || []).includes(user.id)) return "ta";
+    return null;
+  }
+
+  // 교수 계정이 강의를 쓰기 전에 호출: 없으면 만들고, 소유자가 없으면 가져간다.
+  // 다른 교수가 소유한 강의면 SessionError("not_course_owner", 403)
+  function claimCourse(courseId, user) {
+    const course = getCourse(courseId);
+    if (!course) {
+      return store.insert("courses", {
+        id: courseId,
+        ownerId: user.id,
+        tas: [],
+        createdAt: Date.now(),
+      });
+    }
+    if (!course.ownerId) {
+      return store.update("courses", courseId, { ownerId: user.id, tas: [] });
+    }
+    if (course.ownerId !== user.id) {
+      throw new SessionError("not_course_owner", 403);
+    }
+    return course;
+  }
+
+  // 조교 목록 교체 (소유자 확인은 호출하는 쪽에서)
+  function setTas(courseId, tas) {
+    if (!Array.isArray(tas) || tas.length > TA_MAX) {
+      throw new SessionError("invalid_tas");
+    }
+    const ids = [...new Set(tas.map((id) => String(id).trim()))];
+    if (!ids.every((id) => ACCOUNT_ID_RE.test(id))) {
+      throw new SessionError("invalid_tas");
+    }
+    const course = getCourse(courseId);
+    return store.update("courses", courseId, {
+      tas: ids.filter((id) => id !== course.ownerId),
+    });
+  }
+
+  // 계정이 소유하거나 조교로 지정된 강의 id 목록
+  function listCourseIds(user) {
+    if (!user) return [];
+    return store
+      .list("courses", (c) => accessOf(c.id, user) !== null)
+      .map((c) => c.id);
+  }
+
+  return { getCourse, accessOf, claimCourse, setTas, listCourseIds };
+}
+
+module.exports = { createCourseManager };
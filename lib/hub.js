@@ -0,0 +1,47 @@
+// lib/hub.js
+// 채널별 실시간 이벤트 중계 (Server-Sent Events 구독자 관리)
+// - 채널 = 세션 id: POST /api/qr 가 스캔을 저장한 뒤 publish 하면,
+//   GET /api/sessions/:id/stream 으로 구독 중인 /generator 페이지에 바로 전달된다.
+// - 채널 = studentChannel(학번): 학생 본인의 출석 판정을 GET /api/me/stream 으로 /attend 에 전달
+
+function studentChannel(studentId) {
+  return `student:${studentId}`;
+}
+
+function createHub() {
+  // 채널(sessionId 또는 studentChannel) → Set<listener(event, data)>
+  const listeners = new Map();
+
+  function subscribe(channel, listener) {
+    const key = String(channel);
+    if (!listeners.has(key)) listeners.set(key, new Set());
+    listeners.get(key).add(listener);
+    return () => {
+      const set = listeners.get(key);
+      if (!set) return;
+      set.delete(listener);
+      if (set.size === 0) listeners.delete(key);
+    };
+  }
+
+  function publish(channel, event, data) {
+    const set = listeners.get(String(channel));
+    if (!set) return;
+    for (const listener of set) {
+      try {
+        listener(event, data);
+      } catch (err) {
+        console.error("[Hub] listener 오류:", err);
+      }
+    }
+  }
+
+  function subscriberCount(channel) {
+    const set = listeners.get(String(channel));
+    return set ? set.size : 0;
+  }
+
+  return { subscribe, publish, subscriberCount };
+}
+
+module.exports = { createHub, studentChannel };
@@ -0,0 +1,158 @@
+// lib/keyring.js
+// 서버 마스터 키 관리 (server 검증 모드 세션 키를 감싸는 키)
+// - 키마다 id가 있고, 새로 감싸는(wrap) 세션 키는 현재 키를 쓰며 세션에 masterKeyId 를 남긴다.
+//   이전 키는 지난 세션 키를 푸는(unwrap) 데에만 쓴다.
+// - 키를 가져오는 곳 (앞에 있는 것 우선)
+//   1. QR_SECRET_KEYS = "<id>:<base64 32바이트>,..." (첫 번째가 현재 키) : 운영자가 직접 교체
+//   2. QR_SECRET_KEY  = base64 32바이트 (키 하나, id "env") : 이전 설정 호환
+//   3. 키 파일(<DATA_DIR>/keys.json, 권한 0600) : 없으면 만들고, 현재 키가 maxAgeMs 보다 오래되면
+//      시작할 때 새 키를 추가해 교체한다.
+// - 키 값은 로그에 남기지 않는다. (id 와 개수만 출력)
+
+const fs = require("fs");
+const crypto = require("crypto");
+const { wrapKey, unwrapKey } = require("./token");
+
+const KEY_ID_RE = /^[A-Za-z0-9_-]{1,32}$/;
+
+function parseKey(base64) {
+  const key = Buffer.from(String(base64 || ""), "base64");
+  return key.length === 32 ? key : null;
+}
+
+// "<id>:<base64>,..." → [{ id, key }] (형식이 틀리면 Error)
+function parseKeyList(text) {
+  return String(text)
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry, i) => {
+      const sep = entry.indexOf(":");
+      const id = sep > 0 ? entry.slice(0, sep) : "";
+      const key = sep > 0 ? parseKey(entry.slice(sep + 1)) : null;
+      // 키 값이 섞여 있을 수 있으므로 항목 내용은 출력하지 않는다.
+      if (!KEY_ID_RE.test(id) || !key) {
+        throw new Error(
+          `QR_SECRET_KEYS ${i + 1}번째 항목 형식 오류 (<id>:<base64 32바이트>)`
+        );
+      }
+      return { id, key };
+    });
+}
+
+function newKeyId(now) {
+  return `k${now.toString(36)}`;
+}
+
+// 키 파일 읽기 / 만들기 / 교체. 반환: [{ id, key, createdAt }] (오래된 순)
+function loadKeyFile(keyFile, maxAgeMs) {
+  let keys = [];
+  if (fs.existsSync(keyFile)) {
+    // 다른 사용자가 읽을 수 있게 되어 있으면 권한을 좁힌다.
+    if ((fs.statSync(keyFile).mode & 0o077) !== 0) {
+      console.warn(`[QR_KEY] ${keyFile} 권한이 넓어 0600으로 변경합니다.`);
+      fs.chmodSync(keyFile, 0o600);
+    }
+    const data = JSON.parse(fs.readFileSync(keyFile, "utf8"));
+    keys = (data.keys || []).map((k) => ({
+      id: k.id,
+      key: parseKey(k.key),
+      createdAt: k.createdAt,
+    }));
+    if (keys.some((k) => !KEY_ID_RE.test(k.id) || !k.key)) {
+      throw new Error(`${keyFile} 형식 오류`);
+    }
+  }
+
+  const now = Date.now();
+  const current = keys[keys.length - 1];
+  if (!current || (maxAgeMs > 0 && now - current.createdAt > maxAgeMs)) {
+    keys.push({
+      id: newKeyId(now),
+      key: crypto.randomBytes(32),
+      createdAt: now,
+    });
+    const body = JSON.stringify(
+      {
+        keys: keys.map((k) => ({
+          id: k.id,
+          key: k.key.toString("base64"),
+          createdAt: k.createdAt,
+        })),
+      },
+      null,
+      2
+    );
+    // 임시 파일에 쓰고 바꿔치기 (쓰는 도중 죽어도 이전 키 파일이 남도록)
+    const tmp = `${keyFile}.tmp`;
+    fs.writeFileSync(tmp, body, { mode: 0o600 });
+    fs.renameSync(tmp, keyFile);
+    console.log(
+      current
+        ? `[QR_KEY] 마스터 키 교체: ${current.id} → ${keys[keys.length - 1].id}`
+        : `[QR_KEY] 새 마스터 키 생성: ${keyFile}`
+    );
+  }
+  return keys;
+}
+
+// options.env       : process.env (QR_SECRET_KEYS / QR_SECRET_KEY)
+// options.keyFile   : 환경변수에 키가 없을 때 쓰는 키 파일 경로
+// options.maxAgeMs  : 키 파일의 현재 키 교체 주기 (0 이면 교체하지 않음)
+function createKeyring({ env = {}, keyFile, maxAgeMs = 0 } = {}) {
+  let keys; // 현재 키가 마지막
+  let source;
+  if (env.QR_SECRET_KEYS) {
+    keys = parseKeyList(env.QR_SECRET_KEYS).reverse();
+    source = "QR_SECRET_KEYS";
+  } else if (env.QR_SECRET_KEY && parseKey(env.QR_SECRET_KEY)) {
+    keys = [{ id: "env", key: parseKey(env.QR_SECRET_KEY) }];
+    source = "QR_SECRET_KEY";
+  } else {
+    if (env.QR_SECRET_KEY) {
+      console.warn(
+        "[QR_KEY] QR_SECRET_KEY is not 32 bytes after base64 decode. Ignoring and using key file."
+      );
+    }
+    keys = loadKeyFile(keyFile, maxAgeMs);
+    source = keyFile;
+  }
+  if (keys.length === 0) throw new Error("마스터 키가 없습니다.");
+  const byId = new Map(keys.map((k) => [k.id, k.key]));
+  const current = keys[keys.length - 1];
+  console.log(
+    `[QR_KEY] ${source}: 키 ${keys.length}개, 현재 키 id=${current.id}`
+  );
+
+  // 새 세션 키를 현재 키로 감싼다.
+  function wrap(rawKey) {
+    return {
+      wrappedKey: wrapKey(current.key, rawKey),
+      masterKeyId: current.id,
+    };
+  }
+
+  // 감싼 세션 키 풀기 (키가 없거나 맞지 않으면 null)
+  // - masterKeyId 가 없는 이전 세션은 가진 키를 모두 시도한다 (GCM 태그로 맞는 키를 알 수 있다).
+  function unwrap(wrappedKey, masterKeyId) {
+    if (masterKeyId) {
+      const key = byId.get(masterKeyId);
+      return key ? unwrapKey(key, wrappedKey) : null;
+    }
+    for (const { key } of keys) {
+      const raw = unwrapKey(key, wrappedKey);
+      if (raw) return raw;
+    }
+    return null;
+  }
+
+  // 다른 용도의 서명 키 파생 (label 별로 다른 값)
+  // - 가장 오래된 키에서 파생하므로 마스터 키를 교체해도 바뀌지 않는다.
+  function deriveSecret(label) {
+    return crypto.createHmac("sha256", keys[0].key).update(label).digest();
+  }
+
+  return { wrap, unwrap, deriveSecret, currentId: () => current.id };
+}
+
+module.exports = { createKeyring, parseKeyList };
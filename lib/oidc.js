@@ -0,0 +1,181 @@
+// lib/oidc.js
+// 학교 계정(OpenID Connect) 로그인 - 교체 가능한 provider 구조
+// - createOidcProvider(config): 표준 OIDC 서버(discovery 문서가 있는 IdP)용 클라이언트
+//     authorizationUrl(state) → IdP 로그인 페이지 URL
+//     exchange(code)          → { studentId, name } (token → userinfo 순서로 조회)
+//     학번은 설정한 클레임(studentIdClaim)에서만 읽는다. 없으면 403 missing_student_id_claim
+//     (preferred_username / sub 로 대신하려면 studentIdFallback: true - 사용자가 고를 수 있는 값일 수 있으므로 기본은 끔)
+// - createMockIdp(config): 로컬 개발용 가짜 IdP (express Router)
+//     /mock-oidc/.well-known/openid-configuration, /authorize, /token, /userinfo
+//   실제 IdP 대신 OIDC_ISSUER를 이 주소로 두면 같은 클라이언트 코드로 동작한다.
+
+const crypto = require("crypto");
+const express = require("express");
+const { SessionError } = require("./sessions");
+
+function createOidcProvider({
+  issuer,
+  clientId,
+  clientSecret,
+  redirectUri,
+  studentIdClaim = "student_id",
+  studentIdFallback = false,
+  scope = "openid profile",
+}) {
+  let discoveryPromise = null;
+
+  // discovery 문서는 처음 한 번만 가져온다 (실패하면 다음 요청에서 다시 시도)
+  function discover() {
+    if (!discoveryPromise) {
+      const url = `${issuer.replace(/\/$/, "")}/.well-known/openid-configuration`;
+      discoveryPromise = fetch(url)
+        .then((res) => {
+          if (!res.ok) throw new Error(`OIDC discovery failed: ${res.status}`);
+          return res.json();
+        })
+        .catch((err) => {
+          discoveryPromise = null;
+          throw err;
+        });
+    }
+    return discoveryPromise;
+  }
+
+  async function authorizationUrl(state) {
+    const config = await discover();
+    const url = new URL(config.authorization_endpoint);
+    url.searchParams.set("response_type", "code");
+    url.searchParams.set("client_id", clientId);
+    url.searchParams.set("redirect_uri", redirectUri);
+    url.searchParams.set("scope", scope);
+    url.searchParams.set("state", state);
+    return url.toString();
+  }
+
+  async function exchange(code) {
+    const config = await discover();
+    const tokenRes = await fetch(config.token_endpoint, {
+      method: "POST",
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      body: new URLSearchParams({
+        grant_type: "authorization_code",
+        code,
+        redirect_uri: redirectUri,
+        client_id: clientId,
+        client_secret: clientSecret,
+      }),
+    });
+    if (!tokenRes.ok) throw new Error(`OIDC token failed: ${tokenRes.status}`);
+    const { access_token: accessToken } = await tokenRes.json();
+
+    const infoRes = await fetch(config.userinfo_endpoint, {
+      headers: { Authorization: `Bearer ${accessToken}` },
+    });
+    if (!infoRes.ok) throw new Error(`OIDC userinfo failed: ${infoRes.status}`);
+    const claims = await infoRes.json();
+    const studentId =
+      claims[studentIdClaim] ||
+      (studentIdFallback ? claims.preferred_username || claims.sub : null);
+    if (!studentId) throw new SessionError("missing_student_id_claim", 403);
+    return { studentId: String(studentId), name: claims.name || "" };
+  }
+
+  return { name: "oidc", authorizationUrl, exchange };
+}
+
+// 로컬 개발용 가짜 IdP. 로그인 화면에서 입력한 학번을 그대로 인증된 것으로 본다.
+// - redirect_uri 는 등록된 콜백(redirectUri)과 같아야 한다 (다르면 400).
+function createMockIdp({ issuer, clientId, clientSecret, redirectUri: callbackUri }) {
+  const router = express.Router();
+  const codes = new Map(); // code → { studentId, name, redirectUri }
+  const accessTokens = new Map(); // access_token → { studentId, name }
+
+  router.get("/.well-known/openid-configuration", (req, res) => {
+    res.json({
+      issuer,
+      authorization_endpoint: `${issuer}/authorize`,
+      token_endpoint: `${issuer}/token`,
+      userinfo_endpoint: `${issuer}/userinfo`,
+    });
+  });
+
+  router.get("/authorize", (req, res) => {
+    const { client_id: reqClientId, redirect_uri: redirectUri, state } =
+      req.query;
+    if (reqClientId !== clientId) {
+      return res.status(400).send("invalid_client");
+    }
+    if (redirectUri !== callbackUri) {
+      return res.status(400).send("invalid_redirect_uri");
+    }
+    const esc = (v) =>
+      String(v || "").replace(/[&<>"]/g, (c) => `&#${c.charCodeAt(0)};`);
+    res.send(`<!DOCTYPE html>
+<html lang="ko"><head><meta charset="UTF-8" /><title>Mock IdP</title></head>
+<body style="font-family: system-ui, sans-serif; padding: 24px">
+  <h2>Mock 학교 계정 로그인 (개발용)</h2>
+  <form method="post" action="${esc(issuer)}/authorize">
+    <input type="hidden" name="redirect_uri" value="${esc(redirectUri)}" />
+    <input type="hidden" name="state" value="${esc(state)}" />
+    <p><label>학번 <input name="student_id" required /></label></p>
+    <p><label>이름 <input name="name" /></label></p>
+    <button type="submit">로그인</button>
+  </form>
+</body></html>`);
+  });
+
+  router.post(
+    "/authorize",
+    express.urlencoded({ extended: false }),
+    (req, res) => {
+      const { redirect_uri: redirectUri, state, student_id: studentId, name } =
+        req.body;
+      if (redirectUri !== callbackUri) {
+        return res.status(400).send("invalid_redirect_uri");
+      }
+      if (typeof studentId !== "string" || !studentId) {
+        return res.status(400).send("invalid_request");
+      }
+      const code = crypto.randomBytes(16).toString("base64url");
+      codes.set(code, { studentId, name, redirectUri });
+      const url = new URL(redirectUri);
+      url.searchParams.set("code", code);
+      if (state) url.searchParams.set("state", state);
+      res.redirect(url.toString());
+    }
+  );
+
+  router.post("/token", express.urlencoded({ extended: false }), (req, res) => {
+    const grant = codes.get(req.body.code);
+    codes.delete(req.body.code);
+    if (
+      !grant ||
+      req.body.client_id !== clientId ||
+      req.body.client_secret !== clientSecret ||
+      req.body.redirect_uri !== grant.redirectUri
+    ) {
+      return res.status(400).json({ error: "invalid_grant" });
+    }
+    const accessToken = crypto.randomBytes(24).toString("base64url");
+    accessTokens.set(accessToken, grant);
+    res.json({ access_token: accessToken, token_type: "Bearer" });
+  });
+
+  router.get("/userinfo", (req, res) => {
+    const token = String(req.headers.authorization || "").replace(
+      /^Bearer /,
+      ""
+    );
+    const grant = accessTokens.get(token);
+    if (!grant) return res.status(401).json({ error: "invalid_token" });
+    res.json({
+      sub: grant.studentId,
+      student_id: grant.studentId,
+      name: grant.name || "",
+    });
+  });
+
+  return router;
+}
+
+module.exports = { createOidcProvider, createMockIdp };
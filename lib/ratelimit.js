@@ -0,0 +1,51 @@
+// lib/ratelimit.js
+// 요청 수 제한 (고정 창 방식, 메모리 - 서버 한 대 기준)
+// - createRateLimiter({ windowMs, max }) : 키(IP, 학번 등)마다 windowMs 동안 max 만큼만 허용
+//     hit(key, cost) → { allowed, retryAfterMs }
+// - rateLimit(limiter, keyFn, { cost }) : express 미들웨어
+//     keyFn(req) 가 null 이면 제한하지 않는다. 한도를 넘으면 429 + Retry-After 헤더.
+//     cost(req) : 요청 하나가 차지하는 양 (여러 스캔을 한 번에 보내는 batch / checkin)
+
+function createRateLimiter({ windowMs, max }) {
+  // key → { count, resetAt }
+  const buckets = new Map();
+  let lastSweep = Date.now();
+
+  // 창이 끝난 키는 창 하나가 지날 때마다 한 번 정리 (키가 무한히 쌓이지 않도록)
+  function sweep(now) {
+    if (now - lastSweep < windowMs) return;
+    lastSweep = now;
+    for (const [key, bucket] of buckets) {
+      if (bucket.resetAt <= now) buckets.delete(key);
+    }
+  }
+
+  function hit(key, cost = 1, now = Date.now()) {
+    sweep(now);
+    let bucket = buckets.get(key);
+    if (!bucket || bucket.resetAt <= now) {
+      bucket = { count: 0, resetAt: now + windowMs };
+      buckets.set(key, bucket);
+    }
+    if (bucket.count + cost > max) {
+      return { allowed: false, retryAfterMs: bucket.resetAt - now };
+    }
+    bucket.count += cost;
+    return { allowed: true, retryAfterMs: 0 };
+  }
+
+  return { hit };
+}
+
+function rateLimit(limiter, keyFn, { cost = () => 1 } = {}) {
+  return (req, res, next) => {
+    const key = keyFn(req);
+    if (key === null || key === undefined) return next();
+    const { allowed, retryAfterMs } = limiter.hit(key, cost(req));
+    if (allowed) return next();
+    res.setHeader("Retry-After", String(Math.ceil(retryAfterMs / 1000)));
+    res.status(429).json({ ok: false, error: "rate_limited" });
+  };
+}
+
+module.exports = { createRateLimiter, rateLimit };
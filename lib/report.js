@@ -0,0 +1,279 @@
+// lib/report.js
+// 세션별 최종 출석부 계산 및 내보내기 (CSV / XLSX / JSON)
+// - 학번별 지연 통계와 의심률은 /generator 표와 같은 public/stats.js 로 계산한다.
+// - 최종 상태(status)
+//   - server 검증 모드: 서버가 기록한 학생별 최종 판정 (attendance 컬렉션)
+//   - browser 검증 모드: 교수 페이지가 보고한 delta에 같은 판정 기준을 적용
+//   - delta를 하나도 확인하지 못한 학생은 "unverified"
+//     (늦게 도착한 대기열 스캔(verdict "pending")만 있는 학생도 교수가 확인하기 전까지는 여기에 해당)
+//   - 수강생 명단이 있으면 스캔이 하나도 없는 수강생은 "absent"
+//   - 교수가 수동으로 지정한 상태(override)가 있으면 위의 모든 판정보다 우선하고,
+//     그 이유를 overrideReason 열에 남긴다.
+
+const ExcelJS = require("exceljs");
+const { summarizeStudents } = require("../public/stats");
+const { VERDICT_RANK, scanTime } = require("./attendance");
+
+const EXPORT_FORMATS = ["csv", "xlsx", "json"];
+
+// 내보내기 열 순서 (CSV 헤더 / XLSX 열 / JSON 필드 이름 공통)
+const COLUMNS = [
+  { key: "studentId", header: "studentId", width: 14 },
+  { key: "name", header: "name", width: 12 },
+  { key: "section", header: "section", width: 10 },
+  { key: "firstScanAt", header: "firstScanAt", width: 24 },
+  { key: "lastScanAt", header: "lastScanAt", width: 24 },
+  { key: "count", header: "count", width: 8 },
+  { key: "avgDelta", header: "avgDeltaMs", width: 12 },
+  { key: "minDelta", header: "minDeltaMs", width: 12 },
+  { key: "maxDelta", header: "maxDeltaMs", width: 12 },
+  { key: "suspectRate", header: "suspectRate", width: 12 },
+  { key: "suspectReason", header: "suspectReason", width: 48 },
+  { key: "status", header: "status", width: 12 },
+  { key: "overrideReason", header: "overrideReason", width: 32 },
+  { key: "flags", header: "flags", width: 32 },
+];
+
+// 캡처 지연 = delta - (캡처 → 서버 수신) (public/generator.js captureDeltaFor 와 같은 규칙)
+// - 학생 기기가 보고한 캡처 시각이므로 MAX_UPLINK_CREDIT_MS 까지만 빼 준다. 캡처 시각이 없으면 delta 그대로
+const MAX_UPLINK_CREDIT_MS = 2000;
+function captureDelta(scan, delta) {
+  if (typeof scan.clientCaptureTs !== "number") return delta;
+  const uplink = scanTime(scan) - scan.clientCaptureTs;
+  return Math.max(delta - Math.min(Math.max(uplink, 0), MAX_UPLINK_CREDIT_MS), 0);
+}
+
+// 스캔 한 건의 판정 (server 모드는 기록된 verdict, browser 모드는 보고된 delta에 같은 기준 적용)
+// - 아직 delta를 모르면 null
+function scanVerdict(session, scan, attendance) {
+  if (scan.verdict) return scan.verdict;
+  if (typeof scan.delta !== "number") return null;
+  return attendance.classify(session, scan.delta, scanTime(scan)).verdict;
+}
+
+// 학생 한 명의 세션 최종 상태 (/attend "내 출석 기록" / 판정 알림용)
+// - buildRoster 와 같은 우선순위: 수동 처리 > server 모드 최종 판정 > delta 판정
+// - 아직 판정할 수 없으면 진행 중인 세션은 "pending",
+//   종료된 세션은 스캔이 있으면 "unverified", 없으면 "absent"
+// - source: "override" | "server" | "delta" | null (판정 전)
+function studentSessionStatus(session, studentId, scans, { attendance }) {
+  const flags = new Set();
+  let bestVerdict = null;
+  for (const scan of scans) {
+    for (const flag of scan.flags || []) flags.add(flag);
+    if (scan.verdict === "rejected" || scan.verdict === "pending") continue;
+    if (typeof scan.delta !== "number" || scan.delta < 0) continue;
+    const verdict = scanVerdict(session, scan, attendance);
+    if (!bestVerdict || VERDICT_RANK[verdict] > VERDICT_RANK[bestVerdict]) {
+      bestVerdict = verdict;
+    }
+  }
+
+  const result = {
+    count: scans.length,
+    lastScanAt: scans.length ? scans[scans.length - 1].serverRecvTs : null,
+    flags: Array.from(flags),
+    overrideReason: null,
+  };
+  const override = attendance.getOverride(session.id, studentId);
+  if (override) {
+    return {
+      ...result,
+      status: override.status,
+      source: "override",
+      overrideReason: override.reason,
+    };
+  }
+  const final = attendance.getAttendance(session.id, studentId);
+  if (final) return { ...result, status: final.status, source: "server" };
+  if (bestVerdict) return { ...result, status: bestVerdict, source: "delta" };
+
+  let status = scans.length ? "unverified" : "absent";
+  if (session.status === "open") status = "pending";
+  return { ...result, status, source: null };
+}
+
+// options.attendance : lib/attendance.js (판정 기준 / server 모드 최종 판정)
+// options.anomalies  : lib/anomaly.js summarize() 결과 (먼저 제출한 토큰 주인도 공유로 표시)
+// options.roster     : 강의 수강생 명단 [{ studentId, name, section }] (없으면 null)
+// options.scoring    : 세션 의심률 기준 { model, params } (lib/scoring.js getSessionScoring)
+// options.basis      : 지연 기준 "raw" | "capture" (/generator 의 "지연 기준"과 같게)
+//                      capture 면 지연 통계 / 의심률을 캡처 지연(captureDelta)으로 계산한다.
+function buildRoster(
+  session,
+  scans,
+  { attendance, anomalies = {}, roster = null, scoring, basis = "raw" }
+) {
+  const finalById = new Map(
+    attendance.listAttendance(session.id).map((a) => [a.studentId, a])
+  );
+  const overrideById = new Map(
+    attendance.listOverrides(session.id).map((o) => [o.studentId, o])
+  );
+
+  // 학번별 스캔 집계 (generator.js refreshAttendLog 와 같은 규칙)
+  const perStudent = new Map();
+  for (const scan of scans) {
+    let entry = perStudent.get(scan.studentId);
+    if (!entry) {
+      entry = {
+        firstScanAt: scan.serverRecvTs,
+        lastScanAt: scan.serverRecvTs,
+        deltas: [],
+        flags: new Set(),
+        bestVerdict: null,
+      };
+      perStudent.set(scan.studentId, entry);
+    }
+    entry.firstScanAt = Math.min(entry.firstScanAt, scan.serverRecvTs);
+    entry.lastScanAt = Math.max(entry.lastScanAt, scan.serverRecvTs);
+    for (const flag of scan.flags || []) entry.flags.add(flag);
+
+    if (scan.verdict === "rejected" || scan.verdict === "pending") continue;
+    if (typeof scan.delta !== "number" || scan.delta < 0) continue;
+    entry.deltas.push(basis === "capture" ? captureDelta(scan, scan.delta) : scan.delta);
+
+    const verdict = scanVerdict(session, scan, attendance);
+    if (
+      !entry.bestVerdict ||
+      VERDICT_RANK[verdict] > VERDICT_RANK[entry.bestVerdict]
+    ) {
+      entry.bestVerdict = verdict;
+    }
+  }
+
+  for (const [studentId, peers] of Object.entries(anomalies)) {
+    const entry = perStudent.get(studentId);
+    if (!entry) continue;
+    if (peers.sharedTokenWith.length) entry.flags.add("shared_token");
+    if (peers.devicePeers.length) entry.flags.add("shared_device");
+    if (peers.ipPeers.length) entry.flags.add("shared_ip");
+  }
+
+  // browser 모드 delta에는 교수 탭의 시계 동기화 불확실성이 함께 보고된다.
+  // 캡처 지연에는 스캐너 시계의 불확실성도 더해진다.
+  const maxOf = (field) =>
+    scans.reduce((max, scan) => Math.max(max, scan[field] || 0), 0);
+  const toleranceMs =
+    maxOf("deltaUncertaintyMs") +
+    (basis === "capture" ? maxOf("clientClockUncertaintyMs") : 0);
+  const summaries = summarizeStudents(
+    new Map(Array.from(perStudent.entries(), ([id, e]) => [id, e.deltas])),
+    { toleranceMs, scoring, basis }
+  );
+
+  const enrolled = new Map((roster || []).map((s) => [s.studentId, s]));
+  const rows = Array.from(perStudent.entries()).map(([studentId, entry]) => {
+    const summary = summaries.get(studentId);
+    const final = finalById.get(studentId);
+    const student = enrolled.get(studentId);
+    const override = overrideById.get(studentId);
+    let status = final ? final.status : entry.bestVerdict || "unverified";
+    if (override) status = override.status;
+    return {
+      studentId,
+      name: student ? student.name : "",
+      section: student ? student.section : "",
+      firstScanAt: new Date(entry.firstScanAt).toISOString(),
+      lastScanAt: new Date(entry.lastScanAt).toISOString(),
+      count: summary ? summary.count : 0,
+      avgDelta: summary ? summary.avgDelta : null,
+      minDelta: summary ? summary.minDelta : null,
+      maxDelta: summary ? summary.maxDelta : null,
+      suspectRate: summary ? summary.suspectRate : null,
+      suspectReason: summary ? summary.suspectReason : null,
+      status,
+      overrideReason: override ? override.reason : null,
+      flags: Array.from(entry.flags),
+    };
+  });
+
+  // 스캔이 하나도 없는 수강생 → 결석 (수동 처리된 학생은 명단에 없어도 포함)
+  const noScanIds = new Set(enrolled.keys());
+  for (const studentId of overrideById.keys()) noScanIds.add(studentId);
+  for (const studentId of noScanIds) {
+    if (perStudent.has(studentId)) continue;
+    const student = enrolled.get(studentId);
+    const override = overrideById.get(studentId);
+    rows.push({
+      studentId,
+      name: student ? student.name : "",
+      section: student ? student.section : "",
+      firstScanAt: null,
+      lastScanAt: null,
+      count: 0,
+      avgDelta: null,
+      minDelta: null,
+      maxDelta: null,
+      suspectRate: null,
+      suspectReason: null,
+      status: override ? override.status : "absent",
+      overrideReason: override ? override.reason : null,
+      flags: [],
+    });
+  }
+  return rows.sort((a, b) =>
+    String(a.studentId).localeCompare(String(b.studentId))
+  );
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  let text = Array.isArray(value) ? value.join(" ") : String(value);
+  // 스프레드시트 수식으로 해석되지 않도록 (학번 칸에 "=..." 등을 넣는 경우)
+  if (typeof value === "string" && /^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(rows) {
+  const lines = [COLUMNS.map((c) => c.header).join(",")];
+  for (const row of rows) {
+    lines.push(COLUMNS.map((c) => csvCell(row[c.key])).join(","));
+  }
+  // Excel에서 한글이 깨지지 않도록 UTF-8 BOM을 붙인다.
+  return "\uFEFF" + lines.join("\r\n") + "\r\n";
+}
+
+async function toXlsx(session, rows) {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet(`session-${session.id}`);
+  sheet.columns = COLUMNS;
+  for (const row of rows) {
+    sheet.addRow({ ...row, flags: row.flags.join(" ") });
+  }
+  sheet.getRow(1).font = { bold: true };
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+// format 에 맞는 { contentType, filename, body } 반환
+async function exportRoster(session, rows, format) {
+  const base = `attendance-${session.courseId}-session${session.id}`;
+  if (format === "csv") {
+    return {
+      contentType: "text/csv; charset=utf-8",
+      filename: `${base}.csv`,
+      body: toCsv(rows),
+    };
+  }
+  if (format === "xlsx") {
+    return {
+      contentType:
+        "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+      filename: `${base}.xlsx`,
+      body: await toXlsx(session, rows),
+    };
+  }
+  return {
+    contentType: "application/json; charset=utf-8",
+    filename: `${base}.json`,
+    body: JSON.stringify({ session, items: rows }, null, 2),
+  };
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  scanVerdict,
+  buildRoster,
+  studentSessionStatus,
+  exportRoster,
+};
@@ -0,0 +1,136 @@
+// lib/roster.js
+// 강의별 수강생 명단(roster) 관리
+// - 교수가 CSV(studentId, name, section)를 올리면 강의별로 통째로 교체 저장한다.
+//   ("rosters" 컬렉션, id = courseId)
+// - 명단이 등록된 강의는 명단에 없는 학번의 스캔을 거부하고,
+//   스캔이 한 번도 없는 수강생은 결석(absent)으로 보고한다.
+// - 명단이 없는 강의는 기존처럼 아무 학번이나 받는다.
+
+const { SessionError } = require("./sessions");
+
+// 헤더 이름 → 필드 (영문/한글 헤더 모두 허용)
+const HEADER_ALIASES = {
+  studentid: "studentId",
+  student_id: "studentId",
+  id: "studentId",
+  학번: "studentId",
+  name: "name",
+  이름: "name",
+  section: "section",
+  분반: "section",
+};
+
+// 따옴표("...")로 감싼 칸과 "" 이스케이프를 지원하는 최소 CSV 파서
+function parseCsvLine(line) {
+  const cells = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      cells.push(cell.trim());
+      cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+  cells.push(cell.trim());
+  return cells;
+}
+
+// CSV 텍스트 → [{ studentId, name, section }]
+// - 첫 줄이 헤더(studentId/학번 등)이면 열 순서를 헤더로 정하고, 아니면 studentId,name,section 순서
+// - 학번이 비었거나 중복이면 SessionError("invalid_roster")
+function parseRosterCsv(text) {
+  const lines = String(text || "")
+    .replace(/^\uFEFF/, "")
+    .split(/\r?\n/)
+    .filter((line) => line.trim());
+  if (lines.length === 0) throw new SessionError("invalid_roster");
+
+  let fields = ["studentId", "name", "section"];
+  const first = parseCsvLine(lines[0]).map(
+    (h) => HEADER_ALIASES[h.toLowerCase()] || null
+  );
+  if (first.includes("studentId")) {
+    fields = first;
+    lines.shift();
+  }
+
+  const students = [];
+  const seen = new Set();
+  for (const line of lines) {
+    const cells = parseCsvLine(line);
+    const student = { studentId: "", name: "", section: "" };
+    fields.forEach((field, i) => {
+      if (field) student[field] = cells[i] || "";
+    });
+    if (!student.studentId || seen.has(student.studentId)) {
+      throw new SessionError("invalid_roster");
+    }
+    seen.add(student.studentId);
+    students.push(student);
+  }
+  return students;
+}
+
+function createRosterManager(store) {
+  // courseId → Map<studentId, student> (매 스캔마다 배열을 훑지 않도록 캐시)
+  const lookupCache = new Map();
+
+  function getRoster(courseId) {
+    const record = store.get("rosters", courseId);
+    return record ? record.students : null;
+  }
+
+  function lookup(courseId) {
+    if (!lookupCache.has(courseId)) {
+      const students = getRoster(courseId);
+      lookupCache.set(
+        courseId,
+        students ? new Map(students.map((s) => [s.studentId, s])) : null
+      );
+    }
+    return lookupCache.get(courseId);
+  }
+
+  // 명단 전체 교체
+  function importRoster(courseId, csvText) {
+    if (typeof csvText !== "string") throw new SessionError("invalid_roster");
+    const students = parseRosterCsv(csvText);
+    const record = { students, updatedAt: Date.now() };
+    if (store.get("rosters", courseId)) {
+      store.update("rosters", courseId, record);
+    } else {
+      store.insert("rosters", { id: courseId, ...record });
+    }
+    lookupCache.delete(courseId);
+    return students;
+  }
+
+  // 명단이 없으면 true (제한 없음), 있으면 등록 여부
+  function isEnrolled(courseId, studentId) {
+    const map = lookup(courseId);
+    return !map || map.has(studentId);
+  }
+
+  function getStudent(courseId, studentId) {
+    const map = lookup(courseId);
+    return (map && map.get(studentId)) || null;
+  }
+
+  return { getRoster, importRoster, isEnrolled, getStudent };
+}
+
+module.exports = { createRosterManager, parseRosterCsv };
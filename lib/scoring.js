@@ -0,0 +1,52 @@
+// lib/scoring.js
+// 강의별 의심률 기준 (점수 모델 + 기준값) 저장
+// - 강의실/네트워크마다 정상 지연 분포가 달라서 기준을 강의별로 둔다.
+//   ("scoring" 컬렉션, id = courseId, { model, params, updatedAt })
+// - 모델 정의와 값 검증은 /generator 와 같은 public/stats.js 를 쓴다.
+// - 저장된 기준이 없는 강의는 DEFAULT_SCORING (기존 Z-score 기준)
+// - 강의실 교정(lib/calibration.js)을 적용한 뒤 만든 세션은 강의 기준 대신 교정 기준을 쓴다.
+//   단, 교정을 적용한 뒤에 교수가 강의 기준을 직접 저장했으면 강의 기준이 우선한다. (나중에 고른 쪽)
+
+const { normalizeScoring, DEFAULT_SCORING } = require("../public/stats");
+const { SessionError } = require("./sessions");
+
+function createScoringManager(store) {
+  function getScoring(courseId) {
+    const record = store.get("scoring", courseId);
+    if (!record) {
+      return { model: DEFAULT_SCORING.model, params: { ...DEFAULT_SCORING.params } };
+    }
+    return { model: record.model, params: record.params };
+  }
+
+  // 설정 교체 (기본값을 채워서 저장). 모르는 모델이거나 값이 맞지 않으면 invalid_scoring
+  function saveScoring(courseId, config) {
+    const scoring = normalizeScoring(config);
+    if (!scoring) throw new SessionError("invalid_scoring");
+    const record = { ...scoring, updatedAt: Date.now() };
+    if (store.get("scoring", courseId)) {
+      store.update("scoring", courseId, record);
+    } else {
+      store.insert("scoring", { id: courseId, ...record });
+    }
+    return scoring;
+  }
+
+  // 세션에 쓸 기준 { model, params, source }
+  // - source "calibration": 세션에 고정된 강의실 교정 기준
+  // - source "course"     : 강의 기준 (교정 기준이 없거나, 교정 적용 후에 강의 기준을 저장한 경우)
+  function getSessionScoring(session) {
+    const calibration = session.calibration;
+    if (calibration && calibration.scoring) {
+      const record = store.get("scoring", session.courseId);
+      if (!record || !(record.updatedAt > calibration.appliedAt)) {
+        return { ...calibration.scoring, source: "calibration" };
+      }
+    }
+    return { ...getScoring(session.courseId), source: "course" };
+  }
+
+  return { getScoring, getSessionScoring, saveScoring };
+}
+
+module.exports = { createScoringManager };
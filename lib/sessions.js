@@ -0,0 +1,253 @@
+// lib/sessions.js
+// 수업 세션(lecture session) 생명주기 관리
+// - 세션은 강의(courseId) + 강의실(roomCode) + 시작/종료 예정 시각으로 구성된다.
+// - 상태: "open"(출석 진행 중) → "closed"(교수가 종료했거나 종료 예정 시각이 지남)
+// - 세션 id는 저장소가 부여하는 정수이며, QR payload/스캔 파일 이름에 그대로 쓰인다.
+// - 검증 모드(verifyMode)
+//   - "browser": 세션 키가 교수 브라우저에만 존재 (서버는 cipher를 운반/저장만 함)
+//   - "server" : 서버가 세션 키를 생성해 마스터 키(lib/keyring.js)로 감싸 저장(escrow)하고,
+//                스캔마다 직접 복호화하여 출석 판정을 기록한다.
+// - 토큰 키 교체: 세션마다 keyRotationMs(교체 주기) / keyGraceMs(이전 키 허용 시간)를 기록하고,
+//   토큰은 세션 키에서 구간별로 파생한 키로 암호화한다. (public/tokenkeys.js)
+// - 강의실 교정(lib/calibration.js)을 적용한 강의실이면 만들 때의 교정 결과를
+//   calibration = { calibrationId, baselineMs, scoring } 으로 남긴다. (나중에 다시 교정해도 바뀌지 않음)
+
+const crypto = require("crypto");
+const { isSafeId } = require("./store");
+const { deriveTokenKey } = require("./token");
+const {
+  keyEpochAt,
+  keyIdOf,
+  acceptedEpochs,
+  rotates,
+} = require("../public/tokenkeys");
+
+const VERIFY_MODES = ["browser", "server"];
+
+// 세션 입력값 검증 오류 (라우트에서 400 응답으로 변환)
+class SessionError extends Error {
+  constructor(code, status = 400) {
+    super(code);
+    this.code = code;
+    this.status = status;
+  }
+}
+
+// roomCode는 payload에 1바이트로 들어가므로 0~255 정수만 허용
+function parseRoomCode(value) {
+  const roomCode = Number(value);
+  if (!Number.isInteger(roomCode) || roomCode < 0 || roomCode > 255) {
+    throw new SessionError("invalid_room_code");
+  }
+  return roomCode;
+}
+
+// ISO 문자열 또는 epoch ms → epoch ms (생략 시 fallback)
+function parseTime(value, fallback) {
+  if (value === undefined || value === null || value === "") return fallback;
+  const ms = typeof value === "number" ? value : Date.parse(value);
+  if (!Number.isFinite(ms)) throw new SessionError("invalid_time");
+  return ms;
+}
+
+// options.keyring : 세션 키를 감쌀 서버 마스터 키 (lib/keyring.js)
+// options.lateAfterMin : 세션 시작 후 몇 분부터 지각으로 볼지 기본값
+// options.freshWindowMs : 토큰 생성 후 이 시간(ms)이 지나 도착하면 지연 토큰으로 보는 기본값
+// options.keyRotationMs : 토큰 키 교체 주기 기본값
+// options.keyGraceMs : 키가 바뀐 뒤 이전 키 토큰을 받아주는 시간 기본값
+function createSessionManager(
+  store,
+  {
+    keyring,
+    lateAfterMin = 10,
+    freshWindowMs = 3000,
+    keyRotationMs = 10 * 60 * 1000,
+    keyGraceMs = 30 * 1000,
+  } = {}
+) {
+  // sessionId → 복호화된 세션 키 (매 스캔마다 unwrap 하지 않도록 캐시)
+  const keyCache = new Map();
+
+  // 종료 예정 시각이 지난 open 세션은 조회 시점에 closed로 전환
+  function expireIfNeeded(session, now = Date.now()) {
+    if (session.status === "open" && session.endAt && now >= session.endAt) {
+      return store.update("sessions", session.id, {
+        status: "closed",
+        closedAt: session.endAt,
+        closeReason: "expired",
+      });
+    }
+    return session;
+  }
+
+  function createSession({
+    courseId,
+    roomCode,
+    startAt,
+    endAt,
+    verifyMode = "browser",
+    lateAfterMin: sessionLateAfterMin,
+    freshWindowMs: sessionFreshWindowMs,
+    keyRotationMin,
+    calibration = null,
+  } = {}) {
+    if (!courseId || !isSafeId(courseId)) {
+      throw new SessionError("invalid_course");
+    }
+    if (!VERIFY_MODES.includes(verifyMode)) {
+      throw new SessionError("invalid_verify_mode");
+    }
+    const late = Number(sessionLateAfterMin ?? lateAfterMin);
+    if (!Number.isFinite(late) || late < 0) {
+      throw new SessionError("invalid_late_after");
+    }
+    const fresh = Number(sessionFreshWindowMs ?? freshWindowMs);
+    if (!Number.isFinite(fresh) || fresh <= 0) {
+      throw new SessionError("invalid_fresh_window");
+    }
+    // 키 교체 주기는 1분 이상 (교체할 때마다 교수 화면이 새 키를 파생한다)
+    const rotation =
+      keyRotationMin === undefined || keyRotationMin === null
+        ? keyRotationMs
+        : Number(keyRotationMin) * 60 * 1000;
+    if (!Number.isFinite(rotation) || rotation < 60 * 1000) {
+      throw new SessionError("invalid_key_rotation");
+    }
+    const now = Date.now();
+    const start = parseTime(startAt, now);
+    const end = parseTime(endAt, null);
+    if (end !== null && end <= start) {
+      throw new SessionError("invalid_time");
+    }
+
+    if (!store.get("courses", courseId)) {
+      store.insert("courses", { id: courseId, createdAt: now });
+    }
+    let rawKey = null;
+    if (verifyMode === "server") {
+      if (!keyring) throw new SessionError("server_verify_unavailable", 503);
+      rawKey = crypto.randomBytes(32);
+    }
+
+    const session = store.insert("sessions", {
+      courseId,
+      roomCode: parseRoomCode(roomCode ?? 1),
+      startAt: start,
+      endAt: end,
+      lateAfterMin: late,
+      freshWindowMs: fresh,
+      verifyMode,
+      keyRotationMs: rotation,
+      keyGraceMs: Math.max(keyGraceMs, fresh),
+      calibration,
+      ...(rawKey ? keyring.wrap(rawKey) : { wrappedKey: null }),
+      status: "open",
+      createdAt: now,
+      closedAt: null,
+    });
+    if (rawKey) keyCache.set(String(session.id), rawKey);
+    return session;
+  }
+
+  // server 모드 세션의 원본 키 (browser 모드이거나 복원 불가하면 null)
+  // - 세션 키를 감싼 마스터 키가 키 목록에서 빠지면 복원할 수 없다.
+  function getSessionKey(session) {
+    if (!session || session.verifyMode !== "server" || !session.wrappedKey) {
+      return null;
+    }
+    const cacheKey = String(session.id);
+    if (!keyCache.has(cacheKey)) {
+      keyCache.set(
+        cacheKey,
+        keyring.unwrap(session.wrappedKey, session.masterKeyId)
+      );
+    }
+    return keyCache.get(cacheKey);
+  }
+
+  function tokenKey(session, sessionKey, epoch) {
+    return rotates(session) ? deriveTokenKey(sessionKey, epoch) : sessionKey;
+  }
+
+  // ts 에 토큰을 만들 때 쓰는 키 { keyId, key } (server 모드가 아니면 null)
+  function currentTokenKey(session, ts) {
+    const sessionKey = getSessionKey(session);
+    if (!sessionKey) return null;
+    const epoch = keyEpochAt(session, ts);
+    return { keyId: keyIdOf(epoch), key: tokenKey(session, sessionKey, epoch) };
+  }
+
+  // ts 에 도착한 토큰을 확인할 키 목록 [{ keyId, key }] (이전 키 허용 시간 포함)
+  function acceptedTokenKeys(session, ts, options) {
+    const sessionKey = getSessionKey(session);
+    if (!sessionKey) return [];
+    return acceptedEpochs(session, ts, options).map((epoch) => ({
+      keyId: keyIdOf(epoch),
+      key: tokenKey(session, sessionKey, epoch),
+    }));
+  }
+
+  // 클라이언트에 내보낼 세션 정보 (감싼 키는 제외)
+  function toPublic(session) {
+    if (!session) return session;
+    const { wrappedKey, masterKeyId, ...rest } = session;
+    return rest;
+  }
+
+  function getSession(id) {
+    const session = store.get("sessions", id);
+    return session ? expireIfNeeded(session) : null;
+  }
+
+  function closeSession(id) {
+    const session = getSession(id);
+    if (!session) throw new SessionError("unknown_session", 404);
+    if (session.status === "closed") return session;
+    return store.update("sessions", session.id, {
+      status: "closed",
+      closedAt: Date.now(),
+      closeReason: "manual",
+    });
+  }
+
+  // 최신 세션이 먼저 오도록 정렬해 반환
+  function listSessions({ courseId, status } = {}) {
+    return store
+      .list("sessions", (s) => !courseId || s.courseId === courseId)
+      .map((s) => expireIfNeeded(s))
+      .filter((s) => !status || s.status === status)
+      .sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  // 스캔을 받을 수 있는 세션인지 확인 (없거나 닫혔으면 SessionError)
+  // - at      : 스캔 시각 (기본 지금). 늦게 전송된 스캔은 캡처 시각을 넘긴다.
+  // - graceMs : 이미 닫힌 세션이라도 at 이 종료 전이고 종료 후 이 시간 안이면 받는다.
+  function requireOpenSession(id, { at = Date.now(), graceMs = 0 } = {}) {
+    const session = id === undefined || id === null ? null : getSession(id);
+    if (!session) throw new SessionError("unknown_session", 404);
+    if (
+      session.status !== "open" &&
+      (!graceMs || at > session.closedAt || Date.now() - session.closedAt > graceMs)
+    ) {
+      throw new SessionError("session_closed", 409);
+    }
+    if (at < session.startAt) {
+      throw new SessionError("session_not_started", 409);
+    }
+    return session;
+  }
+
+  return {
+    createSession,
+    getSession,
+    getSessionKey,
+    currentTokenKey,
+    acceptedTokenKeys,
+    toPublic,
+    closeSession,
+    listSessions,
+    requireOpenSession,
+  };
+}
+
+module.exports = { createSessionManager, SessionError, parseRoomCode };
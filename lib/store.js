@@ -0,0 +1,232 @@
+// lib/store.js
+// 출석 데이터 영구 저장소 (append-only JSONL 파일 기반)
+// - 외부 DB 없이 로컬 디렉터리에 한 줄 = 한 레코드(JSON) 형태로 계속 덧붙여 기록한다.
+// - 서버를 재시작하면 파일을 다시 읽어 메모리 인덱스를 복원한다.
+// - 디렉터리 구조 (기본: ./data, .env의 DATA_DIR로 변경 가능)
+//   data/
+//     courses.jsonl            : 강의(course) 레코드
+//     sessions.jsonl           : 수업 세션(lecture session) 레코드
+//     scans/<sessionId>.jsonl  : 세션별 출석 스캔 기록 (학생별 조회는 studentId 인덱스 사용)
+// - 레코드 수정(update)은 같은 id의 전체 레코드를 한 줄 더 추가하는 방식이며,
+//   읽을 때는 마지막 줄이 우선한다.
+// - restrictCollection 으로 지정한 컬렉션(users 등)은 파일을 소유자만 읽고 쓸 수 있게(0600) 만든다.
+
+const fs = require("fs");
+const path = require("path");
+
+// 파일 이름으로 쓰일 id는 영문/숫자/-/_ 만 허용 (경로 조작 방지)
+const SAFE_ID_RE = /^[A-Za-z0-9_-]{1,64}$/;
+
+function isSafeId(id) {
+  return SAFE_ID_RE.test(String(id));
+}
+
+// JSONL 파일을 읽어 레코드 배열로 반환 (없으면 빈 배열)
+// - 비정상 종료로 마지막 줄이 잘린 경우 등, 파싱 불가한 줄은 건너뛴다.
+function readJsonl(filePath) {
+  if (!fs.existsSync(filePath)) return [];
+  const text = fs.readFileSync(filePath, "utf8");
+  const records = [];
+  for (const line of text.split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      records.push(JSON.parse(line));
+    } catch {
+      console.warn(`[Store] 손상된 줄 무시: ${filePath}`);
+    }
+  }
+  return records;
+}
+
+class Store {
+  constructor(dataDir) {
+    this.dataDir = dataDir;
+    this.scanDir = path.join(dataDir, "scans");
+    fs.mkdirSync(this.scanDir, { recursive: true });
+
+    // 컬렉션 이름 → { byId: Map, nextId, stream }
+    this.collections = new Map();
+    // 파일 권한을 0600 으로 두는 컬렉션 이름
+    this.restricted = new Set();
+    // sessionId → { items: [], byStudent: Map, stream }
+    this.scanFiles = new Map();
+  }
+
+  // --- 일반 컬렉션 (courses, sessions 등) --- //
+
+  // 비밀번호 해시처럼 다른 사용자가 읽으면 안 되는 컬렉션: 파일을 0600 으로 만든다.
+  // 이미 있는 파일도 권한이 넓으면 좁힌다.
+  restrictCollection(name) {
+    this.restricted.add(name);
+    const filePath = path.join(this.dataDir, `${name}.jsonl`);
+    if (fs.existsSync(filePath) && (fs.statSync(filePath).mode & 0o077) !== 0) {
+      console.warn(`[Store] ${filePath} 권한이 넓어 0600으로 변경합니다.`);
+      fs.chmodSync(filePath, 0o600);
+    }
+  }
+
+  _collection(name) {
+    let col = this.collections.get(name);
+    if (col) return col;
+
+    const filePath = path.join(this.dataDir, `${name}.jsonl`);
+    const byId = new Map();
+    let maxNumericId = 0;
+    for (const record of readJsonl(filePath)) {
+      byId.set(String(record.id), record);
+      if (Number.isInteger(record.id) && record.id > maxNumericId) {
+        maxNumericId = record.id;
+      }
+    }
+    col = {
+      byId,
+      nextId: maxNumericId + 1,
+      stream: fs.createWriteStream(filePath, {
+        flags: "a",
+        ...(this.restricted.has(name) && { mode: 0o600 }),
+      }),
+    };
+    this.collections.set(name, col);
+    return col;
+  }
+
+  // 새 레코드 추가. record.id가 없으면 1부터 증가하는 정수 id를 부여한다.
+  insert(name, record) {
+    const col = this._collection(name);
+    const id =
+      record.id === undefined || record.id === null ? col.nextId : record.id;
+    const stored = { ...record, id };
+    if (Number.isInteger(stored.id) && stored.id >= col.nextId) {
+      col.nextId = stored.id + 1;
+    }
+    col.byId.set(String(stored.id), stored);
+    col.stream.write(JSON.stringify(stored) + "\n");
+    return stored;
+  }
+
+  // 기존 레코드에 patch를 덮어쓴 전체 레코드를 한 줄 더 기록
+  update(name, id, patch) {
+    const col = this._collection(name);
+    const prev = col.byId.get(String(id));
+    if (!prev) return null;
+    const next = { ...prev, ...patch, id: prev.id };
+    col.byId.set(String(prev.id), next);
+    col.stream.write(JSON.stringify(next) + "\n");
+    return next;
+  }
+
+  get(name, id) {
+    return this._collection(name).byId.get(String(id)) || null;
+  }
+
+  list(name, predicate) {
+    const all = Array.from(this._collection(name).byId.values());
+    return predicate ? all.filter(predicate) : all;
+  }
+
+  // --- 세션별 스캔 기록 --- //
+
+  _scanFile(sessionId) {
+    const key = String(sessionId);
+    let file = this.scanFiles.get(key);
+    if (file) return file;
+
+    if (!isSafeId(key)) {
+      throw new Error(`invalid sessionId: ${key}`);
+    }
+    const filePath = path.join(this.scanDir, `${key}.jsonl`);
+    // 같은 id가 다시 나오면(updateScan) 원래 위치의 레코드를 교체
+    const items = [];
+    const indexById = new Map();
+    for (const scan of readJsonl(filePath)) {
+      if (indexById.has(scan.id)) {
+        items[indexById.get(scan.id)] = scan;
+      } else {
+        indexById.set(scan.id, items.length);
+        items.push(scan);
+      }
+    }
+    const byStudent = new Map();
+    for (const scan of items) {
+      if (!byStudent.has(scan.studentId)) byStudent.set(scan.studentId, []);
+      byStudent.get(scan.studentId).push(scan);
+    }
+    file = {
+      items,
+      indexById,
+      byStudent,
+      stream: fs.createWriteStream(filePath, { flags: "a" }),
+    };
+    this.scanFiles.set(key, file);
+    return file;
+  }
+
+  // 스캔 한 건 추가. id는 세션 내에서 1부터 증가한다.
+  appendScan(sessionId, scan) {
+    const file = this._scanFile(sessionId);
+    const last = file.items[file.items.length - 1];
+    const stored = { id: last ? last.id + 1 : 1, sessionId, ...scan };
+    file.indexById.set(stored.id, file.items.length);
+    file.items.push(stored);
+    if (!file.byStudent.has(stored.studentId)) {
+      file.byStudent.set(stored.studentId, []);
+    }
+    file.byStudent.get(stored.studentId).push(stored);
+    file.stream.write(JSON.stringify(stored) + "\n");
+    return stored;
+  }
+
+  // 스캔 레코드에 patch를 덮어써서 한 줄 더 기록 (없는 id면 null)
+  updateScan(sessionId, id, patch) {
+    const file = this._scanFile(sessionId);
+    const index = file.indexById.get(id);
+    if (index === undefined) return null;
+    const prev = file.items[index];
+    const next = { ...prev, ...patch, id: prev.id };
+    file.items[index] = next;
+    const studentScans = file.byStudent.get(prev.studentId);
+    studentScans[studentScans.indexOf(prev)] = next;
+    file.stream.write(JSON.stringify(next) + "\n");
+    return next;
+  }
+
+  getScan(sessionId, id) {
+    const file = this._scanFile(sessionId);
+    const index = file.indexById.get(id);
+    return index === undefined ? null : file.items[index];
+  }
+
+  listScans(sessionId) {
+    return this._scanFile(sessionId).items;
+  }
+
+  // sinceId 보다 뒤에 추가된 스캔만 반환 (sinceId가 없거나 0이면 전체)
+  listScansSince(sessionId, sinceId) {
+    const file = this._scanFile(sessionId);
+    if (!sinceId) return file.items;
+    const index = file.indexById.get(sinceId);
+    if (index !== undefined) return file.items.slice(index + 1);
+    return file.items.filter((scan) => scan.id > sinceId);
+  }
+
+  listStudentScans(sessionId, studentId) {
+    return this._scanFile(sessionId).byStudent.get(studentId) || [];
+  }
+
+  // 버퍼에 남은 쓰기를 모두 내보내고 파일을 닫는다 (서버 종료 시 호출)
+  close() {
+    const streams = [
+      ...Array.from(this.collections.values()).map((c) => c.stream),
+      ...Array.from(this.scanFiles.values()).map((f) => f.stream),
+    ];
+    return Promise.all(
+      streams.map((s) => new Promise((resolve) => s.end(resolve)))
+    );
+  }
+}
+
+function createStore(dataDir) {
+  return new Store(dataDir);
+}
+
+module.exports = { createStore, isSafeId };
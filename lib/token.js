@@ -0,0 +1,98 @@
+// lib/token.js
+// QR 토큰 payload 인코딩 / AES-256-GCM 암복호화 (서버 측)
+// - 토큰 문자열 형식은 교수 브라우저(WebCrypto)가 만드는 것과 같다.
+//     base64( iv(12바이트) || ciphertext || authTag(16바이트) )
+// - payload 형식(v1 / v2)은 교수 브라우저와 같은 public/payload.js 로 인코딩/디코딩한다.
+// - 키 구간(epoch)별 토큰 키 파생 규칙은 public/tokenkeys.js 참고
+
+const crypto = require("crypto");
+const { encodePayload, decodePayload, tokenAgeMs } = require("../public/payload");
+const { keyInfo } = require("../public/tokenkeys");
+
+const IV_LEN = 12;
+const TAG_LEN = 16;
+// 토큰 문자열 최대 길이: 가장 긴 payload(v2, 23바이트)에 여유를 두고 64바이트까지 허용
+const MAX_TOKEN_CHARS = Math.ceil((IV_LEN + 64 + TAG_LEN) / 3) * 4;
+const BASE64_RE = /^(?:[A-Za-z0-9+/]{4})*(?:[A-Za-z0-9+/]{2}==|[A-Za-z0-9+/]{3}=)?$/;
+
+// 현재 형식(v2) payload 생성
+// fields: { sessionId, seq, keyId, roomCode }
+function buildPayload(nowMs, fields) {
+  return Buffer.from(
+    encodePayload({ ...fields, ts: nowMs, nonce: crypto.randomBytes(4) })
+  );
+}
+
+function encryptToken(key, payload) {
+  const iv = crypto.randomBytes(IV_LEN);
+  const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+  const ciphertext = Buffer.concat([cipher.update(payload), cipher.final()]);
+  return Buffer.concat([iv, ciphertext, cipher.getAuthTag()]).toString(
+    "base64"
+  );
+}
+
+// 토큰 복호화. 형식이 틀리거나 인증 태그가 맞지 않으면 null
+function decryptToken(key, cipherBase64) {
+  const combined = Buffer.from(String(cipherBase64), "base64");
+  if (combined.length < IV_LEN + TAG_LEN + 1) return null;
+  const iv = combined.subarray(0, IV_LEN);
+  const tag = combined.subarray(combined.length - TAG_LEN);
+  const ciphertext = combined.subarray(IV_LEN, combined.length - TAG_LEN);
+  try {
+    const decipher = crypto.createDecipheriv("aes-256-gcm", key, iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+  } catch {
+    return null;
+  }
+}
+
+// 스캐너가 보낸 문자열이 토큰 형식인지 확인 (복호화 전, 모든 세션 공통)
+// - 표준 base64 이고, 디코딩 길이가 iv + 태그보다 길며 MAX_TOKEN_CHARS 를 넘지 않아야 한다.
+function isTokenFormat(cipherBase64) {
+  if (typeof cipherBase64 !== "string") return false;
+  if (cipherBase64.length > MAX_TOKEN_CHARS || !BASE64_RE.test(cipherBase64)) {
+    return false;
+  }
+  const padding = (cipherBase64.match(/=+$/) || [""])[0].length;
+  return (cipherBase64.length / 4) * 3 - padding > IV_LEN + TAG_LEN;
+}
+
+// 서버 로그용 토큰 지문 (원문 대신 남긴다: 같은 토큰끼리만 비교 가능)
+function tokenFingerprint(cipherBase64) {
+  return crypto
+    .createHash("sha256")
+    .update(String(cipherBase64))
+    .digest("hex")
+    .slice(0, 12);
+}
+
+// 세션 키에서 키 구간(epoch)의 토큰 키 파생 (교수 브라우저의 WebCrypto HKDF 와 같은 결과)
+function deriveTokenKey(sessionKey, epoch) {
+  return Buffer.from(
+    crypto.hkdfSync("sha256", sessionKey, Buffer.alloc(0), keyInfo(epoch), 32)
+  );
+}
+
+// 세션 키를 서버 마스터 키로 감싸서(wrap) 저장용 문자열로 변환
+function wrapKey(masterKey, rawKey) {
+  return encryptToken(masterKey, rawKey);
+}
+
+function unwrapKey(masterKey, wrapped) {
+  return decryptToken(masterKey, wrapped);
+}
+
+module.exports = {
+  buildPayload,
+  decodePayload,
+  encryptToken,
+  decryptToken,
+  tokenAgeMs,
+  isTokenFormat,
+  tokenFingerprint,
+  deriveTokenKey,
+  wrapKey,
+  unwrapKey,
+};
@@ -0,0 +1,189 @@
+// adaptive.js
+// /generator 적응형 송출 설정 (브라우저 / Node 공용)
+// - 브라우저: <script src="/public/adaptive.js"> 로 불러오면 window.AttendAdaptive 로 사용
+// - 송출 중에 잰 값으로 토큰 갱신 FPS / QR 크기(px) / 오류 정정 수준(ECC)을 한 단계씩 조정한다.
+//   1. 렌더 부하: 프레임당 렌더 시간이 갱신 간격의 절반을 넘거나 화면 갱신(requestAnimationFrame)이
+//      밀려 목표 FPS의 80%에 못 미치면 FPS를 내리고, 이미 최저 FPS면 QR 크기를 줄인다. (가장 먼저 본다)
+//      (토큰 갱신 횟수는 rAF 간격 단위로 잘려서 목표보다 낮게 나올 수 있으므로 판단에 쓰지 않는다)
+//   2. 학생 인식률(/attend 가 보고한 clientScanRate): 낮으면 ECC ↑ → QR 크기 ↑ → FPS ↓ 순서로
+//      인식하기 쉬운 쪽으로 바꾸고, 높으면 FPS ↑ → QR 크기 → ECC 를 기본값 쪽으로 되돌린다.
+//   3. 인식률 보고가 없으면 렌더 여유가 있을 때 FPS만 기본값 쪽으로 올린다.
+//   FPS를 올리는 것은 화면 갱신(requestAnimationFrame) 속도가 한 단계 빠른 FPS를 따라갈 수 있을 때만.
+// - 바꾼 뒤 holdMs 동안은 다시 바꾸지 않고, 바꾸기 전 측정값은 버린다. (설정이 흔들리지 않도록)
+// - 시각은 모두 호출하는 쪽이 넘기는 ms (performance.now 등 단조 증가 시계)
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.AttendAdaptive = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  const FPS_STEPS = [15, 30, 60];
+  const SIZE_STEPS = [240, 320, 400, 480];
+  const ECC_STEPS = ["L", "M", "Q", "H"];
+  const RENDER_WINDOW_MS = 3000;
+  const SCAN_WINDOW_MS = 10000;
+  // 렌더 시간이 갱신 간격의 이 비율을 넘으면 과부하, 한 단계 빠른 FPS 간격의 이 비율 아래면 여유
+  const RENDER_BUDGET = 0.5;
+  const RENDER_HEADROOM = 0.25;
+  // 화면 갱신 속도가 목표 FPS의 이 비율 아래면 과부하 (rAF 프레임이 빠짐)
+  const MIN_FPS_RATIO = 0.8;
+
+  function nearestIndex(steps, value) {
+    let best = 0;
+    for (let i = 1; i < steps.length; i++) {
+      if (Math.abs(steps[i] - value) < Math.abs(steps[best] - value)) best = i;
+    }
+    return best;
+  }
+
+  function eccIndex(ecc) {
+    const i = ECC_STEPS.indexOf(ecc);
+    return i < 0 ? ECC_STEPS.indexOf("M") : i;
+  }
+
+  function average(values) {
+    return values.reduce((s, v) => s + v, 0) / values.length;
+  }
+
+  // options.fps / size / ecc : 시작 설정이자 되돌아갈 기본값
+  // options.minEcc           : ECC 하한 (표시 모드에 따라, qrvisual.js minEccFor)
+  // options.holdMs           : 바꾼 뒤 다음 조정까지 기다리는 시간 (RENDER_WINDOW_MS 이상)
+  // options.minReports       : 인식률로 판단하려면 필요한 최근 보고 수
+  // options.lowScanRate / highScanRate : 인식률 조정 기준
+  function createQrAdaptor({
+    fps = 60,
+    size = 320,
+    ecc = "M",
+    minEcc = "L",
+    holdMs = 5000,
+    minReports = 3,
+    lowScanRate = 0.5,
+    highScanRate = 0.8,
+    now = 0,
+  } = {}) {
+    const home = {
+      fps: nearestIndex(FPS_STEPS, fps),
+      size: nearestIndex(SIZE_STEPS, size),
+      ecc: eccIndex(ecc),
+    };
+    const state = { ...home, minEcc: eccIndex(minEcc) };
+    state.ecc = Math.max(state.ecc, state.minEcc);
+    let changedAt = now;
+    let lastReason = "시작";
+    let renders = []; // { at, ms }
+    let scans = []; // { at, rate }
+    let frameFps = null; // 최근 화면 갱신 속도 (requestAnimationFrame 횟수 / 초)
+
+    function settings() {
+      return {
+        fps: FPS_STEPS[state.fps],
+        size: SIZE_STEPS[state.size],
+        ecc: ECC_STEPS[state.ecc],
+        reason: lastReason,
+      };
+    }
+
+    function change(key, delta, reason, at) {
+      state[key] += delta;
+      changedAt = at;
+      lastReason = reason;
+      renders = [];
+      scans = [];
+      return settings();
+    }
+
+    function recordRender(ms, at) {
+      renders.push({ at, ms });
+    }
+
+    function recordFrameRate(fpsValue) {
+      frameFps = fpsValue;
+    }
+
+    // 학생 스캐너가 보고한 인식률 (0~1)
+    function recordScanRate(rate, at) {
+      if (typeof rate === "number" && rate >= 0 && rate <= 1) {
+        scans.push({ at, rate });
+      }
+    }
+
+    // 표시 모드가 바뀌면 ECC 기본값 / 하한을 다시 정한다. (하한보다 낮으면 바로 올림)
+    function setEccRange(homeEcc, minEccValue, at) {
+      home.ecc = eccIndex(homeEcc);
+      state.minEcc = eccIndex(minEccValue);
+      home.ecc = Math.max(home.ecc, state.minEcc);
+      if (state.ecc < state.minEcc) {
+        return change("ecc", state.minEcc - state.ecc, "표시 모드 ECC 하한", at);
+      }
+      return null;
+    }
+
+    // 지금 측정값으로 한 단계 조정. 바꿨으면 새 settings(), 아니면 null
+    function evaluate(at) {
+      if (at - changedAt < holdMs) return null;
+      renders = renders.filter((r) => at - r.at <= RENDER_WINDOW_MS);
+      scans = scans.filter((s) => at - s.at <= SCAN_WINDOW_MS);
+      if (renders.length === 0) return null;
+
+      const fpsNow = FPS_STEPS[state.fps];
+      const renderMs = average(renders.map((r) => r.ms));
+      const load =
+        `렌더 ${renderMs.toFixed(1)}ms` +
+        (frameFps === null ? "" : `, 화면 ${Math.round(frameFps)}fps`);
+
+      // 1. 렌더 부하
+      if (
+        renderMs > (1000 / fpsNow) * RENDER_BUDGET ||
+        (frameFps !== null && frameFps < fpsNow * MIN_FPS_RATIO)
+      ) {
+        if (state.fps > 0) return change("fps", -1, `과부하 (${load})`, at);
+        if (state.size > 0) return change("size", -1, `과부하 (${load})`, at);
+        return null;
+      }
+
+      const fasterFps = FPS_STEPS[Math.min(state.fps + 1, FPS_STEPS.length - 1)];
+      const headroom = renderMs < (1000 / fasterFps) * RENDER_HEADROOM;
+      const canSpeedUp =
+        headroom && (frameFps === null || frameFps >= fasterFps * MIN_FPS_RATIO);
+      const rate = scans.length >= minReports ? average(scans.map((s) => s.rate)) : null;
+      const scanText = rate === null ? "" : `인식률 ${Math.round(rate * 100)}%`;
+
+      // 2. 인식률이 낮으면 인식하기 쉬운 쪽으로
+      if (rate !== null && rate < lowScanRate) {
+        if (state.ecc < ECC_STEPS.length - 1) {
+          return change("ecc", 1, `${scanText} 낮음`, at);
+        }
+        if (state.size < SIZE_STEPS.length - 1 && headroom) {
+          return change("size", 1, `${scanText} 낮음`, at);
+        }
+        if (state.fps > 0) return change("fps", -1, `${scanText} 낮음`, at);
+        return null;
+      }
+
+      // 3. 여유가 있으면 기본값 쪽으로 되돌린다 (보고가 없으면 FPS만)
+      if (state.fps < home.fps && canSpeedUp && (rate === null || rate >= highScanRate)) {
+        return change("fps", 1, rate === null ? `렌더 여유 (${load})` : `${scanText} 높음`, at);
+      }
+      if (rate !== null && rate >= highScanRate) {
+        if (state.size !== home.size && (state.size > home.size || headroom)) {
+          return change("size", state.size > home.size ? -1 : 1, `${scanText} 높음`, at);
+        }
+        if (state.ecc > home.ecc) return change("ecc", -1, `${scanText} 높음`, at);
+      }
+      return null;
+    }
+
+    return {
+      settings,
+      recordRender,
+      recordFrameRate,
+      recordScanRate,
+      setEccRange,
+      evaluate,
+    };
+  }
+
+  return { FPS_STEPS, SIZE_STEPS, ECC_STEPS, createQrAdaptor };
+});
@@ -2,8 +2,23 @@
 // /attend 페이지에서 카메라로 QR을 실시간 스캔하여
 // 인식된 cipher(암호문)를 서버 /api/qr(POST)에 보내고,
 // 서버는 학생정보 + QR 텍스트 + 수신 시각만 기록한다.
+// 학번은 입력값이 아니라 로그인한 계정(세션 쿠키)에서 서버가 가져온다.
 // 최종 delta / risk / label 계산은 /generator 페이지에서 수행되므로,
-// 여기서는 "전송 성공" 여부만 표시한다.
+// 전송 직후에는 "판정 대기"로 표시하고, 판정이 정해지면 서버가 GET /api/me/stream 으로 알려준다.
+// (서버 검증 모드 세션이면 서버가 돌려준 verdict / delta 를 바로 표시)
+// 체크인 모드(기본)에서는 서로 다른 토큰 몇 개만 모아 한 번에 제출(POST /api/qr/checkin)하고
+// 카메라를 끈다. 연속 스캔 모드는 Stop을 누를 때까지 새 토큰을 볼 때마다 전송한다.
+// 네트워크 오류로 보내지 못한 스캔은 캡처 시각과 함께 IndexedDB 대기열에 보관했다가
+// 백오프 후 POST /api/qr/batch 로 다시 보낸다 (화면에 대기 건수 표시).
+// "내 출석 기록"에서는 지난 세션들의 최종 상태(GET /api/me/attendance)를 볼 수 있다.
+// 스캔마다 "카메라가 프레임을 잡은 시각"(서버 시계 기준)과 이 기기의 RTT를 함께 보내,
+// 교수 페이지가 학생 휴대폰의 네트워크 지연을 뺀 캡처 지연으로도 판정할 수 있게 한다.
+// 교수 화면의 릴레이 방지 표시 모드(public/qrvisual.js) 중 잡음 / 위치 이동 / 부분 가림은 그대로 읽히고,
+// 분할 프레임 모드는 조각을 모두 찍어 토큰으로 합친 뒤 보낸다 (조각 QR은 서버로 보내지 않는다).
+// 디코딩은 public/qrdecode.js 파이프라인(가능하면 워커 + OffscreenCanvas, 직전 QR 영역만 잘라 축소,
+// 네이티브 BarcodeDetector 우선)이 맡아, 메인 스레드가 막혀 캡처 시각이 밀리지 않게 한다.
+// 스캔마다 최근 디코딩 인식률(clientScanRate)도 보내, 교수 화면의 적응형 송출(public/adaptive.js)이
+// QR 갱신 속도 / 크기 / 오류 정정 수준을 강의실에 맞게 조정할 수 있게 한다.
 
 const videoEl = document.getElementById("video");
 const canvasEl = document.getElementById("canvas");
@@ -11,12 +26,168 @@ const statusEl = document.getElementById("status");
 const startBtn2 = document.getElementById("startBtn");
 const stopBtn2 = document.getElementById("stopBtn");
 const studentIdInput = document.getElementById("studentId");
+const passwordInput = document.getElementById("password");
+const loginBtn = document.getElementById("loginBtn");
+const registerBtn = document.getElementById("registerBtn");
+const oidcLoginLink = document.getElementById("oidcLoginLink");
+const logoutBtn = document.getElementById("logoutBtn");
+const loginPanel = document.getElementById("loginPanel");
+const userPanel = document.getElementById("userPanel");
+const userLabel = document.getElementById("userLabel");
+const sessionIdInput = document.getElementById("sessionId");
+const scanModeSelect = document.getElementById("scanMode");
+const checkinPanel = document.getElementById("checkinPanel");
+const checkinProgressEl = document.getElementById("checkinProgress");
+const checkinLabel = document.getElementById("checkinLabel");
 const resultTableBody = document.querySelector("#resultTable tbody");
+const queueStatusEl = document.getElementById("queueStatus");
+const historyBtn = document.getElementById("historyBtn");
+const historyTable = document.getElementById("historyTable");
+const historyTableBody = document.querySelector("#historyTable tbody");
 
 let scanRunning = false;
 let videoStream = null;
 let scanIndex = 0;
 let lastSentCipher = null;
+// 로그인한 계정 (GET /api/auth/me)
+let currentUser = null;
+// 판정 알림 스트림 (GET /api/me/stream, 로그인한 동안만 연결)
+let decisionStream = null;
+// "<sessionId>:<scanId>" → 스캔 결과 표의 행 (판정 알림이 오면 갱신)
+// - 체크인 한 번에 제출한 프레임들은 같은 행을 가리킨다.
+// - 연속 모드로 오래 찍어도 메모리가 늘지 않도록 최근 SCAN_ROWS_MAX 행만 남긴다.
+//   (Map은 삽입 순서 = 표 순서이므로 앞에서부터 지우면 된다.)
+const scanRows = new Map();
+const SCAN_ROWS_MAX = 200;
+// sessionId → 출석 기록 표의 행
+const historyRows = new Map();
+
+function randomHex(byteCount) {
+  const bytes = new Uint8Array(byteCount);
+  crypto.getRandomValues(bytes);
+  return Array.from(bytes, (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+// 기기 식별자: 한 번 만들어 localStorage에 보관 (서버의 기기 공유 탐지용)
+const DEVICE_ID_KEY = "qrAttendDeviceId";
+let deviceId = localStorage.getItem(DEVICE_ID_KEY);
+if (!deviceId) {
+  deviceId = randomHex(16);
+  localStorage.setItem(DEVICE_ID_KEY, deviceId);
+}
+
+// 연속 모드: 새 토큰이 보여도 이 간격(ms)보다 자주 보내지 않는다 (서버의 학생별 요청 수 제한 안쪽)
+const CONTINUOUS_MIN_INTERVAL_MS = 500;
+let lastSentAt = -Infinity; // performance.now 기준
+
+// 체크인 모드: 첫 토큰을 본 뒤 CHECKIN_WINDOW_MS 안에 서로 다른 토큰 CHECKIN_FRAMES 개를 모은다.
+// (다 모으지 못해도 시간이 지나면 모은 만큼 제출) 몇 프레임이면 delta를 추정하기에 충분하다.
+const CHECKIN_FRAMES = 5;
+const CHECKIN_WINDOW_MS = 10000;
+// 진행 중인 체크인 { sessionId, frames: [{ cipher, captureTs, capturedAt }], timer }
+let checkin = null;
+
+// 전송하지 못한 스캔 대기열 (scanqueue.js, IndexedDB)
+const scanQueue = AttendScanQueue.createScanQueue();
+// 대기열 재전송: 한 번에 보내는 최대 스캔 수 / 재시도 간격 / 보관 기간
+// (보관 기간은 서버가 늦게 전송된 스캔을 받아주는 기간과 같다: server.js CLIENT_TIMING_MAX_SKEW_MS)
+const QUEUE_BATCH_SIZE = 20;
+const QUEUE_RETRY_BASE_MS = 1000;
+const QUEUE_RETRY_MAX_MS = 30000;
+const QUEUE_MAX_AGE_MS = 10 * 60 * 1000;
+let queueRetryTimer = null;
+let queueRetryAt = 0;
+let queueAttempt = 0;
+let queueFlushing = false;
+
+// QR 디코딩 파이프라인 (qrdecode.js). 워커를 못 쓰면 숨긴 canvas 로 메인 스레드에서 디코딩
+const qrDecoder = AttendQrDecode.createScanPipeline({ canvas: canvasEl });
+qrDecoder.ready.then(({ where, engine }) =>
+  console.log(`[QrDecode] ${where} / ${engine}`)
+);
+
+// 디코딩 인식률: QR을 비추는 동안(마지막 인식 후 SCAN_RATE_AIM_MS 안) 디코딩한 프레임 중 QR을 읽은 비율
+// - 최근 SCAN_RATE_WINDOW 프레임 기준. 화면을 비추지 않는 동안의 프레임은 세지 않는다.
+const SCAN_RATE_WINDOW = 60;
+const SCAN_RATE_AIM_MS = 1000;
+let decodeHits = []; // 최근 디코딩 결과 (true = 인식)
+let lastDecodeHitAt = -Infinity;
+
+function recordDecode(hit, at) {
+  if (hit) lastDecodeHitAt = at;
+  else if (at - lastDecodeHitAt > SCAN_RATE_AIM_MS) return;
+  decodeHits.push(hit);
+  if (decodeHits.length > SCAN_RATE_WINDOW) decodeHits.shift();
+}
+
+// 0~1 (소수 둘째 자리), 아직 측정값이 없으면 null
+function scanRate() {
+  if (decodeHits.length === 0) return null;
+  const hits = decodeHits.filter(Boolean).length;
+  return Math.round((hits / decodeHits.length) * 100) / 100;
+}
+
+// 분할 프레임 조각 모으기 (qrvisual.js). 캡처 시각은 그룹의 첫 조각 기준
+const splitCollector = AttendQrVisual.createSplitCollector({ maxAgeMs: 2000 });
+
+// 서버 시계 동기화 (timesync.js): 캡처 시각을 서버 시계 기준으로 보고하기 위해 사용
+const timeSync = AttendTimeSync.createTimeSync({ samples: 5, resyncMs: 60000 });
+
+// 판정 / 최종 상태 → 표시용 한글 라벨
+const STATUS_LABELS = {
+  present: "출석",
+  late: "지각",
+  rejected: "거부됨",
+  absent: "결석",
+  excused: "공결",
+  proxy: "대리 출석",
+  pending: "판정 대기",
+  unverified: "확인 불가",
+};
+
+const STATUS_CLASSES = {
+  present: "risk-normal",
+  excused: "risk-normal",
+  late: "risk-suspect",
+  pending: "",
+  unverified: "risk-suspect",
+};
+
+// 체크인 프레임 여러 개 중 가장 좋은 판정을 행에 표시
+// (pending: 늦게 전송된 대기열 스캔, 교수 확인 대기)
+const VERDICT_RANK = { rejected: 0, pending: 1, late: 2, present: 3 };
+
+// 판정 근거 (출석 기록 표의 비고 칸)
+const SOURCE_LABELS = {
+  override: "교수 처리",
+  server: "서버 판정",
+  delta: "교수 화면 판정",
+};
+
+// flags 가 있으면 판정과 별개로 교수 확인이 필요하다고 표시한다.
+function statusLabel(status, flags) {
+  const label = STATUS_LABELS[status] || status;
+  return flags && flags.length ? `${label} (확인 필요)` : label;
+}
+
+function statusClass(status, flags) {
+  const cls = status in STATUS_CLASSES ? STATUS_CLASSES[status] : "risk-high";
+  return cls === "risk-normal" && flags && flags.length ? "risk-suspect" : cls;
+}
+
+function setCells(tr, values) {
+  tr.replaceChildren(
+    ...values.map((value) => {
+      const td = document.createElement("td");
+      td.textContent = value;
+      return td;
+    })
+  );
+}
+
+// 교수 화면에 표시된 세션 번호는 /attend?session=<id> 링크로도 전달할 수 있다.
+const sessionFromUrl = new URLSearchParams(location.search).get("session");
+if (sessionFromUrl) sessionIdInput.value = sessionFromUrl;
 
 // 카메라 열기 (가능하면 후면 카메라)
 async function startCamera() {
@@ -41,8 +212,14 @@ async function startCamera() {
   await videoEl.play();
 }
 
-// 카메라 스트림 정리
+// 카메라 스트림 정리 (스캔을 멈추면 주기적 시계 동기화와 진행 중인 체크인도 멈춘다)
 function stopCamera() {
+  timeSync.stop();
+  cancelCheckin();
+  splitCollector.clear();
+  decodeHits = [];
+  lastDecodeHitAt = -Infinity;
+  scanModeSelect.disabled = false;
   if (videoStream) {
     videoStream.getTracks().forEach((t) => t.stop());
     videoStream = null;
@@ -50,31 +227,274 @@ function stopCamera() {
   videoEl.srcObject = null;
 }
 
+// 로그인 상태에 따라 로그인 폼 / 계정 표시 전환 (로그인한 동안만 판정 알림을 받는다)
+function showUser(user) {
+  currentUser = user;
+  loginPanel.style.display = user ? "none" : "";
+  userPanel.style.display = user ? "" : "none";
+  userLabel.textContent = user
+    ? `${user.id}${user.name ? ` (${user.name})` : ""}`
+    : "";
+  if (user) {
+    openDecisionStream();
+    // 이전에 보내지 못한 스캔이 남아 있으면 바로 전송
+    flushQueue();
+  } else {
+    closeDecisionStream();
+    historyRows.clear();
+    historyTableBody.replaceChildren();
+    historyTable.style.display = "none";
+  }
+}
+
+// --- 판정 알림 / 출석 기록 --- //
+
+function openDecisionStream() {
+  if (decisionStream || typeof EventSource === "undefined") return;
+  decisionStream = new EventSource("/api/me/stream");
+  decisionStream.addEventListener("decision", (e) => {
+    applyDecision(JSON.parse(e.data));
+  });
+  // 연결이 끊기면 EventSource 가 자동으로 재연결한다.
+  // (로그인이 만료되어 401 이면 CLOSED 가 되므로 그대로 둔다)
+}
+
+function closeDecisionStream() {
+  if (decisionStream) decisionStream.close();
+  decisionStream = null;
+}
+
+// 한 행에 묶인 프레임들의 판정 요약
+// - verdict: 판정이 정해진 프레임 중 가장 좋은 것 (아직 없으면 null)
+// - delta  : 거부되지 않은 프레임 delta의 중앙값
+function summarizeFrames(frames) {
+  let verdict = null;
+  const deltas = [];
+  const flags = new Set();
+  for (const frame of frames.values()) {
+    for (const flag of frame.flags || []) flags.add(flag);
+    if (!frame.verdict) continue;
+    if (!verdict || VERDICT_RANK[frame.verdict] > VERDICT_RANK[verdict]) {
+      verdict = frame.verdict;
+    }
+    if (frame.verdict !== "rejected" && frame.verdict !== "pending" && typeof frame.delta === "number") {
+      deltas.push(frame.delta);
+    }
+  }
+  deltas.sort((a, b) => a - b);
+  const delta = deltas.length ? deltas[Math.floor(deltas.length / 2)] : null;
+  return { verdict, delta, flags: Array.from(flags) };
+}
+
+// 스캔 결과 표의 한 행: #, 학번, delta, 판정, 라벨
+function renderScanRow(row) {
+  const { verdict, delta, flags } = summarizeFrames(row.frames);
+  const status = verdict || "pending";
+  row.tr.className = statusClass(status, flags);
+  setCells(row.tr, [
+    row.frames.size > 1 ? `${row.index} (${row.frames.size}개)` : row.index,
+    row.studentId,
+    delta ?? "-",
+    status,
+    statusLabel(status, flags),
+  ]);
+}
+
+// 서버 알림: 스캔 판정이 정해졌거나 교수가 상태를 수동으로 바꿈
+function applyDecision(decision) {
+  const { session, scan } = decision;
+  if (scan) {
+    const row = scanRows.get(`${session.id}:${scan.id}`);
+    if (row) {
+      row.frames.set(scan.id, scan);
+      renderScanRow(row);
+    }
+  }
+  if (historyTable.style.display !== "none") renderHistoryItem(decision);
+  statusEl.textContent = `세션 ${session.id}: ${statusLabel(
+    decision.status,
+    decision.flags
+  )}`;
+}
+
+// 출석 기록 표의 한 행 (세션별로 하나, 있으면 갱신)
+function renderHistoryItem(item) {
+  const { session } = item;
+  let tr = historyRows.get(session.id);
+  if (!tr) {
+    tr = document.createElement("tr");
+    historyRows.set(session.id, tr);
+    // 최신 세션이 위로 오도록 (목록은 최신순으로 내려온다)
+    historyTableBody.prepend(tr);
+  }
+  let note = SOURCE_LABELS[item.source] || "";
+  if (item.overrideReason) note += `: ${item.overrideReason}`;
+  tr.className = statusClass(item.status, item.flags);
+  setCells(tr, [
+    session.id,
+    session.courseId,
+    new Date(session.startAt).toLocaleString(),
+    statusLabel(item.status, item.flags),
+    item.count,
+    note,
+  ]);
+}
+
+async function loadHistory() {
+  try {
+    const res = await fetch("/api/me/attendance");
+    const data = await res.json();
+    if (!data.ok) {
+      statusEl.textContent = `출석 기록 조회 실패: ${data.error || "unknown"}`;
+      return;
+    }
+    historyRows.clear();
+    historyTableBody.replaceChildren();
+    // 최신순 목록을 뒤에서부터 넣어 prepend 결과가 최신순이 되도록
+    for (const item of data.items.slice().reverse()) renderHistoryItem(item);
+    historyTable.style.display = "";
+    if (data.items.length === 0) statusEl.textContent = "출석 기록이 없습니다.";
+  } catch (err) {
+    statusEl.textContent = "서버 통신 오류: " + err.message;
+  }
+}
+
+async function loadCurrentUser() {
+  try {
+    const res = await fetch("/api/auth/me");
+    const data = await res.json();
+    showUser(data.ok ? data.user : null);
+  } catch {
+    showUser(null);
+  }
+  try {
+    const res = await fetch("/api/auth/config");
+    const config = await res.json();
+    oidcLoginLink.style.display = config.oidc ? "" : "none";
+    // 학교 계정 전용이면 로컬 가입 버튼을 숨긴다 (서버도 거부한다)
+    registerBtn.style.display = config.localRegistration === false ? "none" : "";
+  } catch {
+    oidcLoginLink.style.display = "none";
+  }
+}
+
+// 로컬 계정 로그인 / 가입 (성공하면 서버가 세션 쿠키를 설정)
+async function submitCredentials(path) {
+  const studentId = studentIdInput.value.trim();
+  const password = passwordInput.value;
+  if (!studentId || !password) {
+    alert("학번과 비밀번호를 입력하세요.");
+    return;
+  }
+  try {
+    const res = await fetch(path, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ studentId, password }),
+    });
+    const data = await res.json();
+    if (!data.ok) {
+      statusEl.textContent = `로그인 실패: ${data.error || "unknown"}`;
+      return;
+    }
+    passwordInput.value = "";
+    showUser(data.user);
+    statusEl.textContent = "로그인되었습니다.";
+  } catch (err) {
+    statusEl.textContent = "서버 통신 오류: " + err.message;
+  }
+}
+
+// 로그인이 만료된 경우: 스캔을 멈추고 다시 로그인하도록 안내
+function handleLoginExpired() {
+  scanRunning = false;
+  stopCamera();
+  showUser(null);
+  statusEl.textContent = "로그인이 필요합니다. 다시 로그인해 주세요.";
+}
+
+// 서버 응답을 결과 표에 한 행으로 추가
+// - results: POST /api/qr 응답 또는 batch / checkin 항목 (체크인이면 여러 개를 한 행으로)
+//   항목: sessionId, scanId, studentId, serverRecvTs, cipher, flags (+ 서버 검증 모드면 verdict, delta)
+function showScanResult(results) {
+  scanIndex += 1;
+  const row = {
+    tr: document.createElement("tr"),
+    index: scanIndex,
+    studentId: results[0].studentId,
+    frames: new Map(results.map((r) => [r.scanId, r])),
+  };
+  for (const r of results) scanRows.set(`${r.sessionId}:${r.scanId}`, row);
+  renderScanRow(row);
+  resultTableBody.appendChild(row.tr);
+
+  while (resultTableBody.childElementCount > SCAN_ROWS_MAX) {
+    const oldest = resultTableBody.firstElementChild;
+    oldest.remove();
+    for (const [key, r] of scanRows) {
+      if (r.tr !== oldest) break;
+      scanRows.delete(key);
+    }
+  }
+}
+
+// POST /api/qr (및 대기열) body
+// - clientScanId: 스캔마다 만드는 id. 응답을 못 받아 대기열에서 다시 보내도 서버가 같은 스캔으로 알아본다.
+// - rate: 디코딩 인식률 (카메라를 끈 뒤 보내는 체크인 프레임은 끄기 전에 읽은 값을 넘긴다)
+function scanBody(cipher, sessionId, captureTs, rate = scanRate()) {
+  const { rttMs, uncertaintyMs } = timeSync.getState();
+  return {
+    cipher,
+    sessionId,
+    deviceId,
+    clientScanId: randomHex(16),
+    ...(rate !== null && { clientScanRate: rate }),
+    // 동기화 전이면 시계를 믿을 수 없으므로 보내지 않는다.
+    ...(uncertaintyMs !== null && {
+      clientCaptureTs: Math.round(captureTs),
+      clientRttMs: Math.round(rttMs),
+      clientClockUncertaintyMs: Math.ceil(uncertaintyMs),
+    }),
+  };
+}
+
 // 서버로 스캔 결과 전송
-async function sendToServer(cipher, studentId) {
+// - captureTs: 이 QR이 찍힌 프레임을 캔버스로 가져온 시각 (서버 시계 기준 ms)
+// - 네트워크 오류 / 서버 오류(5xx)면 버리지 않고 대기열에 넣어 나중에 다시 보낸다.
+// - 요청 수 제한(429)에 걸린 스캔은 버린다 (연속 모드는 곧 새 토큰을 다시 찍는다).
+async function sendToServer(cipher, sessionId, captureTs) {
+  const body = scanBody(cipher, sessionId, captureTs);
+  let res;
   try {
-    const res = await fetch("/api/qr", {
+    res = await fetch("/api/qr", {
       method: "POST",
       headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ cipher, studentId }),
+      body: JSON.stringify(body),
     });
+  } catch (err) {
+    console.warn("POST /api/qr 실패, 대기열에 보관:", err);
+    await enqueueScan(body);
+    return;
+  }
+  if (res.status >= 500) {
+    await enqueueScan(body);
+    return;
+  }
+  if (res.status === 429) {
+    statusEl.textContent = "요청이 너무 많습니다. 잠시 기다려 주세요.";
+    return;
+  }
+  try {
     const data = await res.json();
+    if (res.status === 401) {
+      handleLoginExpired();
+      return;
+    }
     if (!data.ok) {
       statusEl.textContent = `서버 응답 오류: ${data.error || "unknown"}`;
       return;
     }
-
-    // 응답값: studentId, serverRecvTs, cipher 만 사용
-    scanIndex += 1;
-    const tr = document.createElement("tr");
-    tr.innerHTML = `
-      <td>${scanIndex}</td>
-      <td>${data.studentId}</td>
-      <td>-</td>
-      <td>pending</td>
-      <td>서버에 전송됨</td>
-    `;
-    resultTableBody.appendChild(tr);
+    showScanResult([data]);
     statusEl.textContent = `마지막 전송: studentId=${data.studentId}`;
   } catch (err) {
     console.error("POST /api/qr 실패:", err);
@@ -82,52 +502,317 @@ async function sendToServer(cipher, studentId) {
   }
 }
 
-// 스캔 루프: requestAnimationFrame 으로 매 프레임 비디오를 캔버스로 그린 뒤 jsQR 로 디코딩
-async function scanLoop() {
-  if (!scanRunning) return;
+// --- 체크인 --- //
 
-  if (videoEl.readyState === videoEl.HAVE_ENOUGH_DATA) {
-    const width = videoEl.videoWidth;
-    const height = videoEl.videoHeight;
-    if (width && height) {
-      canvasEl.width = width;
-      canvasEl.height = height;
-      const ctx = canvasEl.getContext("2d");
-      ctx.drawImage(videoEl, 0, 0, width, height);
-      const imageData = ctx.getImageData(0, 0, width, height);
-
-      const qrCode = jsQR(imageData.data, width, height, {
-        inversionAttempts: "dontInvert",
-      });
+function showCheckinProgress(text) {
+  const count = checkin ? checkin.frames.length : 0;
+  checkinProgressEl.max = CHECKIN_FRAMES;
+  checkinProgressEl.value = count;
+  checkinLabel.textContent = text || `토큰 수집 중 ${count}/${CHECKIN_FRAMES}`;
+}
+
+// 스캔을 멈추거나 로그아웃하면 모으던 토큰은 버린다.
+function cancelCheckin() {
+  if (!checkin) return;
+  clearTimeout(checkin.timer);
+  checkin = null;
+  showCheckinProgress("체크인 취소됨");
+}
+
+// - captureTs : 캡처 시각 (서버 시계 기준 ms, 동기화된 경우에만 서버에 보고)
+// - capturedAt: 캡처 시각 (performance.now, 전송까지 지난 시간 계산용)
+function addCheckinFrame(cipher, sessionId, captureTs, capturedAt) {
+  if (!checkin) {
+    checkin = {
+      sessionId,
+      frames: [],
+      timer: setTimeout(finishCheckin, CHECKIN_WINDOW_MS),
+    };
+  }
+  if (checkin.frames.some((f) => f.cipher === cipher)) return;
+  checkin.frames.push({ cipher, captureTs, capturedAt });
+  showCheckinProgress();
+  if (checkin.frames.length >= CHECKIN_FRAMES) finishCheckin();
+}
+
+// 다 모았거나 시간이 지나면 카메라를 끄고 모은 토큰을 한 번에 제출
+async function finishCheckin() {
+  if (!checkin) return;
+  const { sessionId, frames, timer } = checkin;
+  clearTimeout(timer);
+  checkin = null;
+  scanRunning = false;
+  // stopCamera()가 디코딩 기록을 비우므로 인식률은 먼저 읽어 둔다.
+  const rate = scanRate();
+  stopCamera();
+  showCheckinProgress(`제출 중... (${frames.length}개)`);
+  await sendCheckin(sessionId, frames, rate);
+}
 
-      if (qrCode && qrCode.data) {
-        const cipher = qrCode.data;
-        const studentId = studentIdInput.value.trim();
+// POST /api/qr/checkin
+// - 네트워크 오류 / 서버 오류(5xx)면 프레임마다 대기열에 넣어 나중에 다시 보낸다.
+// - rate: 카메라를 끄기 전에 읽은 디코딩 인식률 (scanRate)
+async function sendCheckin(sessionId, frames, rate) {
+  const { rttMs, uncertaintyMs } = timeSync.getState();
+  const sentAt = performance.now();
+  // 프레임을 하나라도 읽었으면 인식률도 있어야 한다 (없으면 적응형 송출이 체크인 스캔을 참고하지 못함)
+  if (rate === null) console.warn("[Checkin] clientScanRate 없이 제출");
+  const body = {
+    sessionId,
+    deviceId,
+    ...(rate !== null && { clientScanRate: rate }),
+    ...(uncertaintyMs !== null && {
+      clientRttMs: Math.round(rttMs),
+      clientClockUncertaintyMs: Math.ceil(uncertaintyMs),
+    }),
+    frames: frames.map((f) => ({
+      cipher: f.cipher,
+      ageMs: Math.round(sentAt - f.capturedAt),
+      ...(uncertaintyMs !== null && { clientCaptureTs: Math.round(f.captureTs) }),
+    })),
+  };
+  const enqueueFrames = async () => {
+    for (const f of frames) {
+      await enqueueScan(scanBody(f.cipher, sessionId, f.captureTs, rate));
+    }
+    showCheckinProgress("전송 실패: 대기열에 보관됨");
+  };
+
+  let res;
+  try {
+    res = await fetch("/api/qr/checkin", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+  } catch (err) {
+    console.warn("POST /api/qr/checkin 실패, 대기열에 보관:", err);
+    await enqueueFrames();
+    return;
+  }
+  // 서버 오류 / 요청 수 제한: 대기열에 넣어 백오프 후 다시 보낸다.
+  if (res.status >= 500 || res.status === 429) {
+    await enqueueFrames();
+    return;
+  }
+  try {
+    const data = await res.json();
+    if (res.status === 401) {
+      handleLoginExpired();
+      return;
+    }
+    const accepted = data.ok ? data.results.filter((r) => r.ok) : [];
+    if (accepted.length === 0) {
+      const error = data.ok ? data.results[0].error : data.error;
+      showCheckinProgress("체크인 실패");
+      statusEl.textContent = `서버 응답 오류: ${error || "unknown"}`;
+      return;
+    }
+    showScanResult(accepted);
+    showCheckinProgress(`체크인 완료 (${accepted.length}/${frames.length})`);
+    statusEl.textContent = "출석이 제출되었습니다. 판정이 나오면 표에 표시됩니다.";
+  } catch (err) {
+    console.error("POST /api/qr/checkin 실패:", err);
+    statusEl.textContent = "서버 통신 오류: " + err.message;
+  }
+}
 
-        // 같은 cipher 를 너무 자주 보내는 것 방지 (간단한 디바운싱)
-        if (cipher !== lastSentCipher) {
-          lastSentCipher = cipher;
-          statusEl.textContent = "QR 인식 성공, 서버에 전송 중...";
-          sendToServer(cipher, studentId);
+// --- 전송 대기열 --- //
+
+// 다시 보낼 시각이 되면 실패한 횟수만큼 간격을 늘려 재시도한다 (지수 백오프).
+// 강의실 전체가 같은 순간에 다시 몰리지 않도록 간격을 50~100% 사이에서 흔든다.
+function queueRetryDelay() {
+  const base = Math.min(
+    QUEUE_RETRY_BASE_MS * 2 ** queueAttempt,
+    QUEUE_RETRY_MAX_MS
+  );
+  return Math.round(base * (0.5 + Math.random() / 2));
+}
+
+function scheduleQueueFlush(delayMs = queueRetryDelay()) {
+  if (queueRetryTimer) return;
+  queueRetryAt = Date.now() + delayMs;
+  queueRetryTimer = setTimeout(flushQueue, delayMs);
+}
+
+async function enqueueScan(body) {
+  await scanQueue.add({
+    studentId: currentUser ? currentUser.id : null,
+    queuedAt: Date.now(),
+    body,
+  });
+  statusEl.textContent = "네트워크 오류: 스캔을 보관했다가 다시 보냅니다.";
+  scheduleQueueFlush();
+  await updateQueueStatus();
+}
+
+// 현재 계정으로 보낼 대기 스캔 (다른 계정으로 로그인했을 때 쌓인 스캔은
+// 그 계정으로 다시 로그인할 때까지 보내지 않는다)
+async function myQueuedScans() {
+  if (!currentUser) return [];
+  const items = await scanQueue.list();
+  return items.filter((item) => item.studentId === currentUser.id);
+}
+
+async function updateQueueStatus() {
+  const count = (await myQueuedScans()).length;
+  queueStatusEl.style.display = count ? "" : "none";
+  let text = `전송 대기 중인 스캔: ${count}건`;
+  if (queueRetryTimer) {
+    const seconds = Math.max(Math.ceil((queueRetryAt - Date.now()) / 1000), 0);
+    text += ` (${seconds}초 후 다시 시도)`;
+  }
+  queueStatusEl.textContent = text;
+  return count;
+}
+
+// 대기 스캔을 POST /api/qr/batch 로 QUEUE_BATCH_SIZE 개씩 전송
+// - 서버가 항목별로 거부한 스캔(세션 종료 등)은 다시 보내도 같으므로 대기열에서 지운다.
+// - 네트워크 / 서버 오류, 요청 수 제한(429)이면 남은 스캔을 그대로 두고 백오프 후 다시 시도한다.
+async function flushQueue() {
+  clearTimeout(queueRetryTimer);
+  queueRetryTimer = null;
+  if (queueFlushing || !currentUser) return;
+  queueFlushing = true;
+  let sent = 0;
+  let rejected = 0;
+  try {
+    // 서버가 받아주지 않을 만큼 오래된 스캔은 버린다.
+    const now = Date.now();
+    const expired = (await scanQueue.list()).filter(
+      (item) => now - item.queuedAt > QUEUE_MAX_AGE_MS
+    );
+    if (expired.length) {
+      await scanQueue.remove(expired.map((item) => item.id));
+      rejected += expired.length;
+    }
+
+    const pending = await myQueuedScans();
+    while (pending.length) {
+      const batch = pending.splice(0, QUEUE_BATCH_SIZE);
+      const res = await fetch("/api/qr/batch", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ items: batch.map((item) => item.body) }),
+      });
+      if (res.status === 401) {
+        handleLoginExpired();
+        return;
+      }
+      if (res.status >= 500 || res.status === 429) {
+        throw new Error(`HTTP ${res.status}`);
+      }
+      const data = await res.json();
+      await scanQueue.remove(batch.map((item) => item.id));
+      if (!data.ok) {
+        rejected += batch.length;
+        continue;
+      }
+      for (const result of data.results) {
+        if (result.ok) {
+          // 이미 받은 스캔을 다시 보낸 경우(duplicate)면 표에 있는 행을 그대로 둔다.
+          if (!scanRows.has(`${result.sessionId}:${result.scanId}`)) {
+            showScanResult([result]);
+          }
+          sent += 1;
+        } else {
+          rejected += 1;
         }
       }
     }
+    queueAttempt = 0;
+  } catch (err) {
+    console.warn("대기 스캔 전송 실패:", err);
+    queueAttempt += 1;
+    scheduleQueueFlush();
+  } finally {
+    queueFlushing = false;
+    if (sent || rejected) {
+      statusEl.textContent = `대기 스캔 전송: ${sent}건 완료${
+        rejected ? `, ${rejected}건 거부/만료` : ""
+      }`;
+    }
+    // 전송하는 동안 새로 쌓인 스캔
+    if ((await myQueuedScans()).length > 0) scheduleQueueFlush();
+    await updateQueueStatus();
+  }
+}
+
+// 스캔 루프: requestAnimationFrame 마다 디코더가 비어 있으면 지금 프레임을 넘긴다.
+// - 디코딩 중에 온 프레임은 건너뛴다. 캡처 시각은 프레임을 넘긴 시점이다.
+function scanLoop() {
+  if (!scanRunning) return;
+
+  if (
+    videoEl.readyState === videoEl.HAVE_ENOUGH_DATA &&
+    videoEl.videoWidth &&
+    !qrDecoder.busy
+  ) {
+    const captureTs = timeSync.now();
+    const capturedAt = performance.now();
+    qrDecoder
+      .decode(videoEl)
+      .then((result) => {
+        if (scanRunning && result) recordDecode(Boolean(result.data), capturedAt);
+        if (scanRunning && result && result.data) {
+          handleQrText(result.data, captureTs, capturedAt);
+        }
+      })
+      .catch((err) => console.warn("[QrDecode] 디코딩 실패:", err));
   }
 
   requestAnimationFrame(scanLoop);
 }
 
+// 인식한 QR 텍스트 처리 (분할 프레임 조각이면 다 모였을 때만 토큰으로 처리)
+function handleQrText(text, captureTs, capturedAt) {
+  let cipher = text;
+  if (AttendQrVisual.isSplitShare(text)) {
+    const joined = splitCollector.add(
+      text,
+      { captureTs, capturedAt },
+      performance.now()
+    );
+    if (!joined) return;
+    ({ cipher } = joined);
+    ({ captureTs, capturedAt } = joined.meta);
+  }
+  const sessionId = sessionIdInput.value.trim();
+
+  // 같은 cipher 를 너무 자주 보내는 것 방지 (간단한 디바운싱)
+  if (cipher === lastSentCipher) return;
+  if (scanModeSelect.value === "checkin") {
+    lastSentCipher = cipher;
+    addCheckinFrame(cipher, sessionId, captureTs, capturedAt);
+  } else if (capturedAt - lastSentAt >= CONTINUOUS_MIN_INTERVAL_MS) {
+    lastSentCipher = cipher;
+    lastSentAt = capturedAt;
+    statusEl.textContent = "QR 인식 성공, 서버에 전송 중...";
+    sendToServer(cipher, sessionId, captureTs);
+  }
+}
+
 startBtn2.addEventListener("click", async () => {
-  const studentId = studentIdInput.value.trim();
-  if (!studentId) {
-    alert("학번을 먼저 입력하세요.");
+  if (!currentUser) {
+    alert("먼저 로그인하세요.");
+    return;
+  }
+  if (!sessionIdInput.value.trim()) {
+    alert("교수 화면에 표시된 세션 번호를 입력하세요.");
     return;
   }
   if (scanRunning) return;
 
   try {
     await startCamera();
+    // 동기화는 기다리지 않는다 (끝나기 전 스캔은 캡처 시각 없이 전송)
+    timeSync.start();
     scanRunning = true;
+    lastSentCipher = null;
+    scanModeSelect.disabled = true;
+    const checkinMode = scanModeSelect.value === "checkin";
+    checkinPanel.style.display = checkinMode ? "" : "none";
+    if (checkinMode) showCheckinProgress("QR을 화면에 비추세요");
     statusEl.textContent = "스캔 중...";
     requestAnimationFrame(scanLoop);
   } catch (err) {
@@ -142,4 +827,30 @@ stopBtn2.addEventListener("click", () => {
   statusEl.textContent = "스캔 중지됨.";
 });
 
+historyBtn.addEventListener("click", () => {
+  if (!currentUser) {
+    alert("먼저 로그인하세요.");
+    return;
+  }
+  loadHistory();
+});
+
+loginBtn.addEventListener("click", () => submitCredentials("/api/auth/login"));
+registerBtn.addEventListener("click", () =>
+  submitCredentials("/api/auth/register")
+);
+logoutBtn.addEventListener("click", async () => {
+  scanRunning = false;
+  stopCamera();
+  await fetch("/api/auth/logout", { method: "POST" });
+  showUser(null);
+  statusEl.textContent = "로그아웃되었습니다.";
+});
+
+// 네트워크가 돌아오면 백오프를 기다리지 않고 바로 다시 보낸다.
+window.addEventListener("online", () => {
+  queueAttempt = 0;
+  flushQueue();
+});
 
+loadCurrentUser();
@@ -1,25 +1,105 @@
 // generator.js
-// /generator 페이지에서 qrcode.js를 사용해 ECC = M 고정으로 렌더링한다.
+// /generator 페이지에서 qrcode.js로 QR 모듈 행렬을 만들고, 선택한 릴레이 방지 표시 모드
+// (public/qrvisual.js: 기본 / 밝기 잡음 / 위치 이동 / 부분 가림 / 분할 프레임)로 캔버스에 그린다.
 // - QR 토큰은 "교수 브라우저에서 직접 AES-256-GCM 으로 암호화"해서 생성한다.
 //   (세션 키는 브라우저 메모리에만 존재하고 서버에는 절대 전달되지 않음)
 // - 학생이 찍은 QR(cipher 문자열)은 서버로 전달되고, 서버는 단순히 로그/중계만 한다.
 // - 최종 인증 판정(delta / risk / label)과, 필요시 복호화/검증은 이 페이지에서 수행한다.
+// - 단, "서버 검증" 모드로 세션을 열면 서버가 발급한 세션 키로 토큰을 만들고,
+//   서버가 스캔마다 직접 검증하므로 이 탭을 닫아도 출석 판정이 계속 기록된다.
+// - 교수 / 조교만 들어올 수 있다 (로그인하지 않았으면 서버가 /login 으로 보낸다).
+//   조교로 지정된 강의의 세션은 읽기 전용으로 표시한다 (수동 처리 / 기준 저장 / delta 보고 없음).
+// - 목표 FPS를 "자동"으로 두면 렌더 시간 / 실제 화면 갱신 속도 / 학생 스캐너가 보고한 인식률로
+//   토큰 갱신 FPS, QR 크기, 오류 정정 수준을 송출 중에 조정한다. (public/adaptive.js)
 
 const qrContainer = document.getElementById("qrContainer");
+const qrCanvas = document.getElementById("qrCanvas");
 const tokenLenEl = document.getElementById("tokenLen");
 const renderTimeEl = document.getElementById("renderTime");
 const fpsEl = document.getElementById("fps");
+const adaptiveInfoEl = document.getElementById("adaptiveInfo");
+const clockSyncEl = document.getElementById("clockSync");
 const statusEl = document.getElementById("status");
 const startBtn = document.getElementById("startBtn");
 const profLogTableBody = document.querySelector("#profLogTable tbody");
 const fpsSelect = document.getElementById("fpsSelect");
+const visualModeSelect = document.getElementById("visualMode");
+const courseIdInput = document.getElementById("courseId");
+const roomCodeInput = document.getElementById("roomCode");
+const durationInput = document.getElementById("durationMin");
+const verifyModeSelect = document.getElementById("verifyMode");
+const closeBtn = document.getElementById("closeBtn");
+const sessionInfoEl = document.getElementById("sessionInfo");
+const sessionSelect = document.getElementById("sessionSelect");
+const resumeBtn = document.getElementById("resumeBtn");
+const exportFormatSelect = document.getElementById("exportFormat");
+const exportBtn = document.getElementById("exportBtn");
+const latencyBasisSelect = document.getElementById("latencyBasis");
+const scoringModelSelect = document.getElementById("scoringModel");
+const scoringParamsEl = document.getElementById("scoringParams");
+const scoringSaveBtn = document.getElementById("scoringSaveBtn");
+const scoringSourceEl = document.getElementById("scoringSource");
+const auditBtn = document.getElementById("auditBtn");
+const auditLogEl = document.getElementById("auditLog");
+const rosterFileInput = document.getElementById("rosterFile");
+const rosterUploadBtn = document.getElementById("rosterUploadBtn");
+const profUserLabel = document.getElementById("profUserLabel");
+const profLogoutBtn = document.getElementById("profLogoutBtn");
+const taIdsInput = document.getElementById("taIds");
+const taSaveBtn = document.getElementById("taSaveBtn");
 
 let qr;
 let running = false;
-// 토큰 생성 시각 기록: cipher 문자열 → 생성된 Date.now()
+// 로그인한 계정 (GET /api/auth/me). 교수 계정이 아니면(조교) 세션을 열 수 없다.
+let currentUser = null;
+// 현재 QR을 송출 중인 세션 (POST /api/sessions 응답)
+let currentSession = null;
+// 출석 로그 테이블에 표시할 세션 id (과거 세션 조회 시 currentSession과 다를 수 있음)
+let viewSessionId = null;
+// 세션 목록 (GET /api/sessions): id → 세션 (송출 재개 가능 여부 판단용)
+const listedSessions = new Map();
+// 최근에 송출한 토큰의 생성 시각: cipher 문자열 → 생성된 시각(서버 기준 ms)
+// - 60fps로 한 시간 넘게 송출해도 메모리가 늘지 않도록 TOKEN_CACHE_MS 보다 오래된 토큰은 지운다.
+//   (Map은 삽입 순서 = 생성 순서이므로 앞에서부터 지우면 된다.)
+// - 캐시에서 밀려난 토큰은 세션 키로 복호화해 payload의 생성 시각으로 생성 시각을 복원한다.
 const tokenCreatedAt = new Map();
-// 서버/클라이언트 시계 차이(ms). 서버시간 ≈ Date.now() + timeOffsetMs
-let timeOffsetMs = 0;
+const TOKEN_CACHE_MS = 10000;
+const TOKEN_CACHE_MAX = 2000;
+// 보고 있는 세션의 출석 로그: 처음에 한 번 받아온 뒤 새 스캔만 학번별 집계에 반영한다.
+// - 새 스캔은 SSE(/api/sessions/:id/stream)로 바로 받고,
+//   EventSource를 못 쓰거나 연결이 막히면 ?since= 증분 폴링으로 대신 받는다.
+const logState = {
+  sessionId: null,
+  session: null,
+  lastId: 0, // 받은 스캔 중 가장 큰 id
+  anomalies: {},
+  roster: null,
+  overrides: new Map(), // studentId -> 교수 수동 처리 { status, reason, actor, ... }
+  // 의심률 기준 { model, params } (강의별 저장값, 화면에서 고치면 바로 미리보기)
+  scoring: null,
+  access: null, // 보고 있는 세션에 대한 권한 ("owner" | "ta": 읽기 전용)
+  // 학번별 누적 집계: 스캔을 받을 때 한 번만 반영하고, 표를 그릴 때는 다시 훑지 않는다.
+  students: new Map(), // studentId -> { agg: {count,sum,min,max}, flags: Set }
+  pendingDeltas: [], // browser 모드: 서버에 아직 보고하지 않은 delta
+  // browser 모드: delta를 보고하는 중인 스캔 id (보고가 끝나면 지운다)
+  // - 보고된 delta는 서버에 저장되어 출석부 내보내기와 새로고침 후 표 복원에 쓰인다.
+  reportingIds: new Set(),
+  // delta 계산에 쓰인 시계 동기화 불확실성의 최댓값 (의심률 데드존에 더함)
+  clockToleranceMs: 0,
+  // 캡처 지연 기준일 때의 허용 오차 (교수 탭 + 스캐너 시계 불확실성)
+  captureToleranceMs: 0,
+};
+// 표 행 캐시: 바뀐 행만 DOM을 고친다. studentId -> { tr, signature }
+const logRows = new Map();
+let logStream = null; // EventSource
+let logPollTimer = null;
+let logRenderTimer = null;
+// 스캔이 몰려 들어와도 표는 이 간격(ms)에 한 번만 다시 그린다.
+const LOG_RENDER_INTERVAL_MS = 200;
+const LOG_POLL_INTERVAL_MS = 1000;
+// 서버 시계 동기화 (timesync.js): 서버시간 ≈ timeSync.now()
+// - 스트림 중에는 1분마다 다시 맞추고, 오프셋 ± 불확실성을 화면에 표시한다.
+const timeSync = AttendTimeSync.createTimeSync({ samples: 5, resyncMs: 60000 });
 
 let lastFpsUpdate = performance.now();
 let frameCount = 0;
@@ -27,49 +107,105 @@ let lastTokenUpdate = 0;
 let targetFps = 60;
 let consecutiveErrors = 0;
 
-// === 세션별 AES-256-GCM 키 관리 (교수 브라우저 전용) ===
-// - 세션이 시작될 때 32바이트 랜덤 키를 생성하여, 이 페이지 내에서만 사용한다.
-// - 서버는 이 키를 알 수 없으며, 단순히 cipher 문자열을 운반/저장만 한다.
-let sessionAesKeyPromise = null; // Promise<CryptoKey>
+// 릴레이 방지 표시 모드 (qrvisual.js MODES)
+let visualMode = "plain";
+// 분할 프레임 모드: 지금 토큰의 조각을 표시할 남은 순서
+// - 토큰마다 SPLIT_CYCLES 바퀴 동안 조각을 매 바퀴 섞은 순서로 보여준다.
+//   (카메라 프레임 주기가 화면 주기의 정수배여도 모든 조각이 찍히도록)
+const SPLIT_CYCLES = 2;
+let splitQueue = [];
+
+// 적응형 송출 (목표 FPS "자동"일 때만, adaptive.js createQrAdaptor)
+// - 수동 FPS로 돌아가면 QR 크기 / ECC 도 기본값(DEFAULT_QR_SIZE, 표시 모드 ECC)으로 돌아간다.
+const DEFAULT_QR_SIZE = 320;
+let adaptor = null;
+
+// === 세션별 AES-256-GCM 키 관리 ===
+// - browser 모드: 세션이 시작될 때 32바이트 랜덤 키를 생성하여, 이 페이지 내에서만 사용한다.
+//   서버는 이 키를 알 수 없으며, 단순히 cipher 문자열을 운반/저장만 한다.
+// - server 모드: 세션 생성 응답의 sessionKey(base64)를 그대로 가져와 사용한다.
+// - 토큰은 세션 키가 아니라 세션의 keyRotationMs 마다 바뀌는 토큰 키로 암호화한다.
+//   (세션 키에서 WebCrypto HKDF로 파생, 서버와 같은 규칙: public/tokenkeys.js)
+//   세션 키는 파생에만 쓰는 내보낼 수 없는(non-extractable) CryptoKey 로만 보관한다.
+let sessionKeyPromise = null; // Promise<CryptoKey> (HKDF 원본, 키 교체가 없는 세션이면 AES-GCM 키)
+let serverSessionKey = null; // server 모드 세션 키 (base64)
+const tokenKeyPromises = new Map(); // 키 구간(epoch) → Promise<CryptoKey>
+let tokenSeq = 0; // 세션 안에서 만든 토큰 수 (payload v2 seq)
+
+function base64ToBytes(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
 
 function ensureSessionKey() {
-  if (!sessionAesKeyPromise) {
-    const keyBytes = new Uint8Array(32);
-    crypto.getRandomValues(keyBytes);
-    sessionAesKeyPromise = crypto.subtle.importKey(
+  if (!sessionKeyPromise) {
+    let keyBytes;
+    if (serverSessionKey) {
+      keyBytes = base64ToBytes(serverSessionKey);
+    } else {
+      keyBytes = new Uint8Array(32);
+      crypto.getRandomValues(keyBytes);
+    }
+    const rotating = AttendTokenKeys.rotates(currentSession);
+    sessionKeyPromise = crypto.subtle.importKey(
       "raw",
       keyBytes,
-      { name: "AES-GCM" },
+      rotating ? "HKDF" : { name: "AES-GCM" },
       false,
-      ["encrypt", "decrypt"]
+      rotating ? ["deriveKey"] : ["encrypt", "decrypt"]
     );
+    keyBytes.fill(0);
   }
-  return sessionAesKeyPromise;
+  return sessionKeyPromise;
 }
 
-// 10바이트 payload 생성 (서버의 /api/qr 과 동일한 구조 유지)
-// [0]      : version (1바이트)
-// [1..4]   : tsLow = Date.now() & 0xffffffff (uint32 BE)
-// [5]      : roomCode (1바이트, 예: 1)
-// [6..9]   : randomNonce (4바이트 난수)
-function buildPayload(nowMs) {
-  const payload = new Uint8Array(10);
-  const view = new DataView(payload.buffer);
-
-  const version = 1;
-  const tsLow = (nowMs & 0xffffffff) >>> 0;
-  const roomCode = 1;
-
-  payload[0] = version;
-  // BE로 쓰기
-  view.setUint32(1, tsLow, false);
-  payload[5] = roomCode;
-
-  const nonceBytes = new Uint8Array(4);
-  crypto.getRandomValues(nonceBytes);
-  payload.set(nonceBytes, 6);
+// 키 구간(epoch)의 토큰 키 (HKDF-SHA256, info = AttendTokenKeys.keyInfo(epoch))
+// - 다른 구간 키는 이전 키 허용 시간 동안만 필요하므로 바로 전 구간보다 오래된 키는 버린다.
+function tokenKeyFor(epoch) {
+  if (!AttendTokenKeys.rotates(currentSession)) return ensureSessionKey();
+  if (!tokenKeyPromises.has(epoch)) {
+    tokenKeyPromises.set(
+      epoch,
+      ensureSessionKey().then((sessionKey) =>
+        crypto.subtle.deriveKey(
+          {
+            name: "HKDF",
+            hash: "SHA-256",
+            salt: new Uint8Array(0),
+            info: new TextEncoder().encode(AttendTokenKeys.keyInfo(epoch)),
+          },
+          sessionKey,
+          { name: "AES-GCM", length: 256 },
+          false,
+          ["encrypt", "decrypt"]
+        )
+      )
+    );
+    for (const old of tokenKeyPromises.keys()) {
+      if (old < epoch - 1) tokenKeyPromises.delete(old);
+    }
+  }
+  return tokenKeyPromises.get(epoch);
+}
 
-  return payload;
+// payload v2 생성 (public/payload.js, 서버의 GET /api/qr 과 같은 형식)
+// - 세션 번호 / 프레임 번호(seq) / 키 번호 / 전체 생성 시각을 담는다.
+function buildPayload(nowMs, keyId) {
+  const nonce = new Uint8Array(4);
+  crypto.getRandomValues(nonce);
+  tokenSeq += 1;
+  return AttendPayload.encodePayload({
+    ts: nowMs,
+    sessionId: currentSession ? currentSession.id : 0,
+    seq: tokenSeq,
+    keyId,
+    roomCode: currentSession ? currentSession.roomCode : 1,
+    nonce,
+  });
 }
 
 function concatUint8Arrays(a, b) {
@@ -87,47 +223,38 @@ function bytesToBase64(bytes) {
   return btoa(binary);
 }
 
-// 서버 시간과 클라이언트 시간 동기화
-async function syncServerTime() {
-  try {
-    const t0 = Date.now();
-    const res = await fetch("/api/server-time");
-    const data = await res.json();
-    const t3 = Date.now();
-
-    const serverTime = data.serverTime;
-    const rtt = t3 - t0;
-    const clientAtServerStamp = t0 + rtt / 2;
-
-    // 서버 시각 - (그때의 클라 시각) = 시계 차이
-    timeOffsetMs = serverTime - clientAtServerStamp;
-    console.log("[TimeSync] offset(ms) =", timeOffsetMs);
-  } catch (e) {
-    console.error("[TimeSync] 서버 시간 동기화 실패", e);
-    // 실패하면 예전처럼 동작
-    timeOffsetMs = 0;
-  }
-}
+// 시계 동기화 결과 표시 + 의심률 계산에 쓸 허용 오차 갱신
+timeSync.onUpdate(({ offsetMs, uncertaintyMs, driftPpm }) => {
+  clockSyncEl.textContent =
+    `${offsetMs.toFixed(1)} ± ${uncertaintyMs.toFixed(1)}` +
+    ` (drift ${driftPpm.toFixed(1)} ppm)`;
+  console.log(
+    "[TimeSync] offset(ms) =",
+    offsetMs,
+    "uncertainty(ms) =",
+    uncertaintyMs
+  );
+});
 
 // 기본 FPS 기준: 약 16.67ms 간격 (렌더링 주기)
 const FRAME_INTERVAL_60 = 1000 / 60;
 // 토큰 갱신 최소 간격 (ms) - 선택된 FPS에 따라 동적으로 계산
+// rAF 시각은 화면 갱신 간격 단위로 오므로 반 프레임 먼저 와도 갱신한다.
+// (60fps 간격 17ms 를 16.67ms 간격 rAF 로 재면 두 프레임에 한 번만 통과해 30fps가 된다)
+const TOKEN_INTERVAL_SLACK_MS = FRAME_INTERVAL_60 / 2;
 let minTokenInterval = Math.round(1000 / targetFps);
 
 // 브라우저에서 직접 QR 토큰(cipher) 생성
-// - 서버의 /api/qr 과 동일한 10바이트 payload 구조를 만들고
-// - 이 페이지에서 가지고 있는 세션 키로 AES-256-GCM 암호화한 뒤
+// - 서버의 /api/qr 과 동일한 payload 구조를 만들고
+// - 지금 키 구간의 토큰 키로 AES-256-GCM 암호화한 뒤
 //   iv(12바이트) + ciphertext+authTag 를 base64 로 인코딩한 문자열을 반환한다.
 async function makeLocalToken() {
-
-  const clientNow = Date.now();
   // ✅ 서버 기준 현재 시각으로 보정
-  const now = clientNow + timeOffsetMs;
+  const now = timeSync.now();
+  const epoch = AttendTokenKeys.keyEpochAt(currentSession, now);
+  const key = await tokenKeyFor(epoch);
 
-  // const now = Date.now();
-  const key = await ensureSessionKey();
-
-  const payload = buildPayload(now);
+  const payload = buildPayload(now, AttendTokenKeys.keyIdOf(epoch));
 
   // GCM 권장 12바이트 IV
   const iv = new Uint8Array(12);
@@ -143,29 +270,116 @@ async function makeLocalToken() {
   const combined = concatUint8Arrays(iv, ciphertext);
   const cipherBase64 = bytesToBase64(combined);
 
-  // 생성 시각 기록: cipher 문자열 → 생성된 Date.now()
-  tokenCreatedAt.set(cipherBase64, now);
+  rememberToken(cipherBase64, now);
   return cipherBase64;
 }
 
+function rememberToken(cipher, createdAt) {
+  tokenCreatedAt.set(cipher, createdAt);
+  for (const [oldCipher, oldCreatedAt] of tokenCreatedAt) {
+    if (
+      tokenCreatedAt.size <= TOKEN_CACHE_MAX &&
+      createdAt - oldCreatedAt <= TOKEN_CACHE_MS
+    ) {
+      break;
+    }
+    tokenCreatedAt.delete(oldCipher);
+  }
+}
+
+// 캐시에 없는 토큰의 delta(ms)를 복호화로 복원. 이 탭이 만든 토큰이 아니면 null
+// - 경과 시간은 서버 검증과 같은 public/payload.js tokenAgeMs 로 계산한다.
+async function recoverTokenDelta(row) {
+  // 세션 키는 지금 송출 중인 세션 것만 이 탭에 있다.
+  if (!currentSession || String(row.sessionId) !== String(currentSession.id)) {
+    return null;
+  }
+  if (!sessionKeyPromise) return null;
+  let combined;
+  try {
+    combined = base64ToBytes(row.cipher);
+  } catch {
+    return null; // 깨진 문자열
+  }
+  // 서버 검증과 같이, 스캔 시각에 받아주는 키 구간의 키로만 풀어 본다.
+  const scanTs = scanTimeOf(row);
+  for (const epoch of AttendTokenKeys.acceptedEpochs(currentSession, scanTs)) {
+    try {
+      const payload = new Uint8Array(
+        await crypto.subtle.decrypt(
+          { name: "AES-GCM", iv: combined.subarray(0, 12) },
+          await tokenKeyFor(epoch),
+          combined.subarray(12)
+        )
+      );
+      const decoded = AttendPayload.decodePayload(payload);
+      if (!decoded || decoded.keyId !== AttendTokenKeys.keyIdOf(epoch)) {
+        return null;
+      }
+      return AttendPayload.tokenAgeMs(scanTs, decoded);
+    } catch {
+      // 이 구간 키로 만든 토큰이 아니다 → 다음 구간 키
+    }
+  }
+  return null; // 다른 키로 만든 토큰
+}
+
+// qrcode.js 로 모듈 행렬만 만든다 (화면에는 qrvisual.js 가 직접 그린다)
+// - qrcode.js 는 행렬을 공개 API로 주지 않아 내부 모델(_oQRCode)을 읽는다.
+const qrScratch = document.createElement("div");
+function makeQrMatrix(text, ecc) {
+  // show.html과 동일하게 매번 새 인스턴스 생성 (더 안정적)
+  qrScratch.innerHTML = "";
+  qr = new QRCode(qrScratch, {
+    text,
+    width: 64,
+    height: 64,
+    correctLevel: QRCode.CorrectLevel[ecc],
+  });
+  const model = qr._oQRCode;
+  return {
+    size: model.getModuleCount(),
+    isDark: (row, col) => model.isDark(row, col),
+  };
+}
+
+// 분할 프레임 모드: 새 토큰을 조각으로 나눠 표시 순서를 만든다.
+function splitSchedule(shares) {
+  const order = [];
+  for (let cycle = 0; cycle < SPLIT_CYCLES; cycle++) {
+    const round = shares.slice();
+    for (let i = round.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [round[i], round[j]] = [round[j], round[i]];
+    }
+    order.push(...round);
+  }
+  return order;
+}
+
+// 이번 프레임에 QR로 보여줄 텍스트 (분할 모드면 조각, 아니면 토큰)
+async function nextQrText() {
+  if (visualMode !== "split") return makeLocalToken();
+  if (splitQueue.length === 0) {
+    splitQueue = splitSchedule(
+      AttendQrVisual.splitToken(await makeLocalToken())
+    );
+  }
+  return splitQueue.shift();
+}
+
 async function updateToken() {
   try {
     const start = performance.now();
-    const cipher = await makeLocalToken();
-
-    // show.html과 동일하게 매번 새 인스턴스 생성 (더 안정적)
-    qrContainer.innerHTML = "";
-    qr = new QRCode(qrContainer, {
-      text: cipher,
-      width: 320,
-      height: 320,
-      colorDark: "#000000",
-      colorLight: "#ffffff",
-      correctLevel: QRCode.CorrectLevel.M, // ECC=M 고정
-    });
+    const mode = visualMode;
+    const text = await nextQrText();
+    const ecc = adaptor ? adaptor.settings().ecc : AttendQrVisual.eccFor(mode);
+    const code = makeQrMatrix(text, ecc);
+    AttendQrVisual.drawFrame(qrCanvas, code, { mode });
 
     const end = performance.now();
-    tokenLenEl.textContent = cipher.length.toString();
+    if (adaptor) adaptor.recordRender(end - start, end);
+    tokenLenEl.textContent = text.length.toString();
     renderTimeEl.textContent = (end - start).toFixed(2);
     statusEl.textContent = "Token updated (local)";
     consecutiveErrors = 0;
@@ -188,7 +402,7 @@ function renderLoop(now) {
   frameCount += 1;
 
   // 선택된 FPS 기준으로 토큰 갱신: 직전 갱신 이후 minTokenInterval 이상 지났을 때만
-  if (now - lastTokenUpdate >= minTokenInterval) {
+  if (now - lastTokenUpdate >= minTokenInterval - TOKEN_INTERVAL_SLACK_MS) {
     lastTokenUpdate = now;
     updateToken();
   }
@@ -196,6 +410,11 @@ function renderLoop(now) {
   // 대략적인 FPS 계산 (1초마다 갱신)
   if (now - lastFpsUpdate >= 1000) {
     fpsEl.textContent = frameCount.toString();
+    if (adaptor) {
+      adaptor.recordFrameRate(frameCount);
+      const changed = adaptor.evaluate(now);
+      if (changed) applyQrSettings(changed);
+    }
     frameCount = 0;
     lastFpsUpdate = now;
   }
@@ -203,222 +422,1004 @@ function renderLoop(now) {
   requestAnimationFrame(renderLoop);
 }
 
-// startBtn.addEventListener("click", () => {
-//   if (running) return;
-//   running = true;
-//   startBtn.disabled = true;
-//   statusEl.textContent = "초기화 중...";
-//   lastFpsUpdate = performance.now();
-//   frameCount = 0;
-//   lastTokenUpdate = 0;
+// 서버에 새 수업 세션 생성 (강의 ID / 강의실 코드 / 수업 시간)
+async function openSession() {
+  const durationMin = parseInt(durationInput.value, 10);
+  const body = {
+    courseId: courseIdInput.value.trim(),
+    roomCode: parseInt(roomCodeInput.value, 10),
+    verifyMode: verifyModeSelect.value,
+  };
+  if (Number.isFinite(durationMin) && durationMin > 0) {
+    body.endAt = Date.now() + durationMin * 60 * 1000;
+  }
+  const res = await fetch("/api/sessions", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+  const data = await res.json();
+  if (!data.ok) throw new Error(data.error || "session_create_failed");
+  useSessionKey(data.sessionKey || null);
+  return data.session;
+}
+
+// 세션마다 새 키를 쓰도록 이전 키는 버린다. (sessionKey: server 모드 세션 키 base64, browser 모드면 null)
+function useSessionKey(sessionKey) {
+  serverSessionKey = sessionKey;
+  sessionKeyPromise = null;
+  tokenKeyPromises.clear();
+  tokenSeq = 0;
+  tokenCreatedAt.clear();
+}
+
+// 이미 열린 server 모드 세션으로 송출을 이어간다 (탭을 새로고침한 뒤 등)
+// - 세션 키는 GET /api/sessions/:id/key 로 다시 받는다.
+// - browser 모드 세션은 키가 닫힌 탭에만 있었으므로 이어갈 수 없다.
+async function resumeSession(sessionId) {
+  const id = encodeURIComponent(sessionId);
+  const sessionRes = await fetch(`/api/sessions/${id}`);
+  const sessionData = await sessionRes.json();
+  if (!sessionData.ok) throw new Error(sessionData.error || "unknown_session");
+  const keyRes = await fetch(`/api/sessions/${id}/key`);
+  const keyData = await keyRes.json();
+  if (!keyData.ok) throw new Error(keyData.error || "session_key_failed");
+  useSessionKey(keyData.sessionKey);
+  return sessionData.session;
+}
+
+// 보고 있는 세션이 송출을 이어갈 수 있는 세션이면 재개 버튼을 켠다.
+function updateResumeButton() {
+  const session = listedSessions.get(String(viewSessionId));
+  resumeBtn.disabled = !(
+    !running &&
+    session &&
+    session.status === "open" &&
+    session.verifyMode === "server" &&
+    session.access === "owner"
+  );
+}
+
+function showSessionInfo(session) {
+  if (!session) {
+    sessionInfoEl.textContent = "세션 없음";
+    return;
+  }
+  const end = session.endAt
+    ? new Date(session.endAt).toLocaleTimeString()
+    : "-";
+  sessionInfoEl.textContent =
+    `세션 #${session.id} · ${session.courseId} · 강의실 ${session.roomCode}` +
+    ` · 종료 예정 ${end} · ${session.verifyMode === "server" ? "서버 검증" : "브라우저 검증"}` +
+    ` · ${session.status}` +
+    (session.calibration
+      ? ` · 강의실 교정 #${session.calibration.calibrationId} 기준 (캡처 ${session.calibration.baselineMs}ms)`
+      : "");
+}
+
+// 과거 세션 목록을 select에 채운다 (현재 보고 있는 세션은 선택 유지)
+async function refreshSessionList() {
+  try {
+    const res = await fetch("/api/sessions");
+    if (!res.ok) return;
+    const data = await res.json();
+    sessionSelect.innerHTML = "";
+    listedSessions.clear();
+    for (const s of data.items || []) {
+      listedSessions.set(String(s.id), s);
+      const opt = document.createElement("option");
+      opt.value = String(s.id);
+      opt.textContent = `#${s.id} ${s.courseId} (${new Date(
+        s.startAt
+      ).toLocaleString()}) ${s.status}${s.access === "ta" ? " · 조교" : ""}`;
+      if (String(s.id) === String(viewSessionId)) opt.selected = true;
+      sessionSelect.appendChild(opt);
+    }
+    updateResumeButton();
+  } catch (e) {
+    console.error("[Session] 목록 조회 실패", e);
+  }
+}
+
+// --- 로그인 계정 --- //
+
+function showAccount(user) {
+  currentUser = user;
+  profUserLabel.textContent = `${user.id}${user.name ? ` (${user.name})` : ""}${
+    user.role === "professor" ? "" : " · 조교"
+  }`;
+  const professor = user.role === "professor";
+  startBtn.disabled = running || !professor;
+  rosterUploadBtn.disabled = !professor;
+  taSaveBtn.disabled = !professor;
+}
+
+// 로그인이 풀렸으면 /login 으로 보낸다.
+async function loadAccount() {
+  try {
+    const res = await fetch("/api/auth/me");
+    const data = await res.json();
+    if (!data.ok) {
+      location.href = "/login?next=/generator";
+      return;
+    }
+    showAccount(data.user);
+    refreshSessionList();
+  } catch (err) {
+    statusEl.textContent = "서버 통신 오류: " + err.message;
+  }
+}
+
+profLogoutBtn.addEventListener("click", async () => {
+  if (running) {
+    alert("QR 송출 중에는 로그아웃할 수 없습니다. 세션을 먼저 종료하세요.");
+    return;
+  }
+  await fetch("/api/auth/logout", { method: "POST" });
+  location.href = "/login";
+});
 
-//   // 렌더 루프 시작 (토큰 갱신은 루프 안에서 60fps 기준으로 처리)
-//   requestAnimationFrame(renderLoop);
-// });
-startBtn.addEventListener("click", async () => {
+function stopStream() {
+  running = false;
+  timeSync.stop();
+  startBtn.disabled = !currentUser || currentUser.role !== "professor";
+  closeBtn.disabled = true;
+  updateResumeButton();
+  splitQueue = [];
+  qrCanvas.getContext("2d").clearRect(0, 0, qrCanvas.width, qrCanvas.height);
+}
+
+startBtn.addEventListener("click", () => {
+  if (!courseIdInput.value.trim()) {
+    alert("강의 ID를 먼저 입력하세요.");
+    return;
+  }
+  startStream(openSession, "세션 생성 실패");
+});
+
+resumeBtn.addEventListener("click", () => {
+  if (!viewSessionId) return;
+  const sessionId = viewSessionId;
+  startStream(() => resumeSession(sessionId), "세션 재개 실패");
+});
+
+// 세션을 열거나(openSession) 이어받은(resumeSession) 뒤 QR 송출 시작
+async function startStream(loadSession, failLabel) {
   if (running) return;
   running = true;
   startBtn.disabled = true;
+  resumeBtn.disabled = true;
   statusEl.textContent = "초기화 중...";
 
-  // ✅ 토큰 생성 시작 전에 서버와 시계 먼저 맞추기
-  await syncServerTime();
+  try {
+    currentSession = await loadSession();
+  } catch (err) {
+    console.error(`[Session] ${failLabel}`, err);
+    statusEl.textContent = `${failLabel}: ${err.message}`;
+    running = false;
+    startBtn.disabled = false;
+    updateResumeButton();
+    return;
+  }
+  viewSessionId = currentSession.id;
+  watchAttendLog();
+  showSessionInfo(currentSession);
+  closeBtn.disabled = false;
+  refreshSessionList();
+
+  // ✅ 토큰 생성 시작 전에 서버와 시계 먼저 맞추기 (이후 주기적으로 다시 맞춤)
+  await timeSync.start();
 
   lastFpsUpdate = performance.now();
   frameCount = 0;
   lastTokenUpdate = 0;
+  // 자동이면 새 송출마다 처음 상태부터 다시 맞춘다 (강의실 / 화면이 바뀌었을 수 있음)
+  if (adaptor) startAdaptor();
 
   // 렌더 루프 시작 (토큰 갱신은 루프 안에서 60fps 기준으로 처리)
   requestAnimationFrame(renderLoop);
+}
+
+// 세션 종료: QR 송출을 멈추고 서버에서 이후 스캔을 거부하도록 닫는다.
+closeBtn.addEventListener("click", async () => {
+  if (!currentSession) return;
+  stopStream();
+  try {
+    const res = await fetch(`/api/sessions/${currentSession.id}/close`, {
+      method: "POST",
+    });
+    const data = await res.json();
+    if (data.ok) currentSession = data.session;
+    showSessionInfo(currentSession);
+    statusEl.textContent = "세션이 종료되었습니다.";
+  } catch (err) {
+    statusEl.textContent = "세션 종료 실패: " + err.message;
+  }
+  refreshSessionList();
+});
+
+// 출석부 내보내기: 보고 있는 세션의 최종 출석부를 선택한 형식으로 다운로드
+exportBtn.addEventListener("click", () => {
+  if (!viewSessionId) {
+    alert("내보낼 세션을 먼저 선택하세요.");
+    return;
+  }
+  const format = exportFormatSelect.value;
+  window.location.href = `/api/sessions/${encodeURIComponent(
+    viewSessionId
+  )}/export?format=${format}&basis=${latencyBasisSelect.value}`;
+});
+
+// 수강생 명단 업로드: 입력한 강의 ID의 명단을 CSV(studentId,name,section)로 교체
+rosterUploadBtn.addEventListener("click", async () => {
+  const courseId = courseIdInput.value.trim();
+  const file = rosterFileInput.files[0];
+  if (!courseId || !file) {
+    alert("강의 ID와 명단 CSV 파일을 선택하세요.");
+    return;
+  }
+  try {
+    const res = await fetch(
+      `/api/courses/${encodeURIComponent(courseId)}/roster`,
+      {
+        method: "POST",
+        headers: { "Content-Type": "text/csv" },
+        body: await file.text(),
+      }
+    );
+    const data = await res.json();
+    statusEl.textContent = data.ok
+      ? `명단 등록 완료: ${courseId} (${data.count}명)`
+      : `명단 등록 실패: ${data.error}`;
+    // 결석자 행을 새 명단 기준으로 다시 그린다.
+    if (data.ok) fetchLogSince();
+  } catch (err) {
+    statusEl.textContent = "명단 등록 실패: " + err.message;
+  }
+});
+
+// 조교 지정: 입력한 강의 ID의 조교 계정 목록을 교체 (강의 소유 교수만)
+taSaveBtn.addEventListener("click", async () => {
+  const courseId = courseIdInput.value.trim();
+  if (!courseId) {
+    alert("강의 ID를 먼저 입력하세요.");
+    return;
+  }
+  const tas = taIdsInput.value
+    .split(",")
+    .map((id) => id.trim())
+    .filter(Boolean);
+  try {
+    const res = await fetch(`/api/courses/${encodeURIComponent(courseId)}/tas`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ tas }),
+    });
+    const data = await res.json();
+    statusEl.textContent = data.ok
+      ? `조교 지정 완료: ${courseId} (${data.course.tas.join(", ") || "없음"})`
+      : `조교 지정 실패: ${data.error}`;
+  } catch (err) {
+    statusEl.textContent = "조교 지정 실패: " + err.message;
+  }
+});
+
+// 보고 있는 세션의 강의 ID / 조교 목록을 입력칸에 채운다 (소유 교수만)
+async function loadCourseInfo(courseId) {
+  courseIdInput.value = courseId;
+  try {
+    const res = await fetch(`/api/courses/${encodeURIComponent(courseId)}`);
+    const data = await res.json();
+    if (data.ok) taIdsInput.value = data.course.tas.join(", ");
+  } catch {
+    // 입력칸만 채우는 것이므로 무시
+  }
+}
+
+// 과거 세션 선택 시 해당 세션의 로그를 표시
+sessionSelect.addEventListener("change", () => {
+  viewSessionId = sessionSelect.value || null;
+  updateResumeButton();
+  watchAttendLog();
 });
 
-// FPS 선택 변경 시 목표 FPS와 토큰 갱신 간격 업데이트
+// === 의심률 기준 (stats.js SCORING_MODELS) ===
+// - 모델을 고르면 기준값 입력칸을 만들고, 값을 고칠 때마다 표에 바로 반영한다.
+// - "강의 기준으로 저장"을 누르면 보고 있는 세션의 강의에 저장되어 다음 수업과 내보내기에도 쓰인다.
+//   강의실 교정 기준을 쓰는 세션이면 그 뒤로는 저장한 강의 기준이 교정 기준보다 우선한다 (lib/scoring.js).
+for (const [name, model] of Object.entries(AttendStats.SCORING_MODELS)) {
+  const opt = document.createElement("option");
+  opt.value = name;
+  opt.textContent = model.label;
+  scoringModelSelect.appendChild(opt);
+}
+
+function showScoring(config) {
+  const scoring =
+    AttendStats.normalizeScoring(config) || AttendStats.DEFAULT_SCORING;
+  scoringModelSelect.value = scoring.model;
+  scoringParamsEl.replaceChildren(
+    ...AttendStats.SCORING_MODELS[scoring.model].params.map(({ key, label }) => {
+      const wrap = document.createElement("label");
+      wrap.className = "scoring-param";
+      wrap.textContent = `${label} `;
+      const input = document.createElement("input");
+      input.type = "number";
+      input.step = "any";
+      input.min = "0";
+      input.style.width = "5em";
+      input.dataset.key = key;
+      input.value = String(scoring.params[key]);
+      input.addEventListener("input", applyScoringForm);
+      wrap.appendChild(input);
+      return wrap;
+    })
+  );
+  logState.scoring = scoring;
+}
+
+// 세션에 쓰이는 기준이 어디서 왔는지 표시 (source: lib/scoring.js getSessionScoring)
+function showScoringSource(source) {
+  const calibration = logState.session && logState.session.calibration;
+  if (source === "calibration") {
+    scoringSourceEl.textContent = `강의실 교정 #${calibration.calibrationId} 기준 사용 중 (저장하면 강의 기준이 우선)`;
+  } else if (calibration) {
+    scoringSourceEl.textContent = "강의 기준 사용 중 (교정 후 저장한 강의 기준이 우선)";
+  } else {
+    scoringSourceEl.textContent = "";
+  }
+}
+
+// 입력칸 → logState.scoring (값이 맞지 않으면 이전 기준 유지)
+function applyScoringForm() {
+  const params = {};
+  for (const input of scoringParamsEl.querySelectorAll("input")) {
+    params[input.dataset.key] = input.value;
+  }
+  const scoring = AttendStats.normalizeScoring({
+    model: scoringModelSelect.value,
+    params,
+  });
+  if (!scoring) {
+    statusEl.textContent = "의심률 기준값이 올바르지 않습니다.";
+    return;
+  }
+  logState.scoring = scoring;
+  renderAttendLog();
+}
+
+scoringModelSelect.addEventListener("change", () => {
+  // 모델을 바꾸면 그 모델의 기본값부터 시작
+  showScoring({ model: scoringModelSelect.value });
+  renderAttendLog();
+});
+
+scoringSaveBtn.addEventListener("click", async () => {
+  if (!logState.session || !logState.scoring) {
+    alert("기준을 저장할 세션을 먼저 선택하세요.");
+    return;
+  }
+  const { courseId } = logState.session;
+  try {
+    const res = await fetch(
+      `/api/courses/${encodeURIComponent(courseId)}/scoring`,
+      {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(logState.scoring),
+      }
+    );
+    const data = await res.json();
+    statusEl.textContent = data.ok
+      ? `의심률 기준 저장 완료: ${courseId}`
+      : `의심률 기준 저장 실패: ${data.error}`;
+    if (data.ok) showScoringSource("course");
+  } catch (err) {
+    statusEl.textContent = "의심률 기준 저장 실패: " + err.message;
+  }
+});
+
+auditBtn.addEventListener("click", showAuditLog);
+
+// 지연 기준 변경 시 표를 다시 그린다 (집계는 두 기준 모두 유지하고 있음)
+latencyBasisSelect.addEventListener("change", () => renderAttendLog());
+
+// QR 캔버스 크기 (그리는 해상도와 화면 크기를 같게 둔다)
+function setQrSize(size) {
+  if (qrCanvas.width === size) return;
+  qrCanvas.width = size;
+  qrCanvas.height = size;
+  qrCanvas.style.width = `${size}px`;
+  qrCanvas.style.height = `${size}px`;
+  qrContainer.style.width = `${size + 40}px`;
+  qrContainer.style.height = `${size + 40}px`;
+}
+
+// 적응형 송출 설정 적용 (ECC 는 다음 토큰부터 adaptor.settings() 에서 읽는다)
+function applyQrSettings({ fps, size, ecc, reason }) {
+  targetFps = fps;
+  minTokenInterval = Math.round(1000 / targetFps);
+  setQrSize(size);
+  adaptiveInfoEl.textContent = `${fps}fps · ${size}px · ECC ${ecc} (${reason})`;
+  console.log(`[Adaptive] ${fps}fps ${size}px ECC ${ecc}: ${reason}`);
+}
+
+// 적응형 송출을 처음 상태(60fps, 기본 크기, 표시 모드 ECC)부터 시작
+function startAdaptor() {
+  adaptor = AttendAdaptive.createQrAdaptor({
+    fps: 60,
+    size: DEFAULT_QR_SIZE,
+    ecc: AttendQrVisual.eccFor(visualMode),
+    minEcc: AttendQrVisual.minEccFor(visualMode),
+    now: performance.now(),
+  });
+  applyQrSettings(adaptor.settings());
+}
+
+// FPS 선택 변경 시 목표 FPS와 토큰 갱신 간격 업데이트 ("auto"면 적응형 송출)
 fpsSelect.addEventListener("change", () => {
+  if (fpsSelect.value === "auto") {
+    startAdaptor();
+    statusEl.textContent = "목표 FPS: 자동 (렌더 시간 / 화면 갱신 / 학생 인식률로 조정)";
+    return;
+  }
   const value = parseInt(fpsSelect.value, 10);
   if (!Number.isFinite(value) || value <= 0) return;
+  adaptor = null;
+  setQrSize(DEFAULT_QR_SIZE);
+  adaptiveInfoEl.textContent = "수동";
   targetFps = value;
   minTokenInterval = Math.round(1000 / targetFps);
   statusEl.textContent = `목표 FPS가 ${targetFps}로 설정되었습니다.`;
 });
 
-// 통계 기반 이상치 탐지: 평균과 표준편차를 이용하여 이상치 판정
-function calculateMeanStd(values) {
-  if (values.length === 0) return { mean: 0, std: 0 };
-  const mean = values.reduce((a, b) => a + b, 0) / values.length;
-  const variance = values.reduce((sum, val) => sum + Math.pow(val - mean, 2), 0) / values.length;
-  const std = Math.sqrt(variance);
-  return { mean, std };
+// 릴레이 방지 표시 모드 변경 (송출 중에도 다음 프레임부터 바로 적용)
+visualModeSelect.addEventListener("change", () => {
+  if (!AttendQrVisual.isMode(visualModeSelect.value)) return;
+  visualMode = visualModeSelect.value;
+  splitQueue = [];
+  if (adaptor) {
+    const changed = adaptor.setEccRange(
+      AttendQrVisual.eccFor(visualMode),
+      AttendQrVisual.minEccFor(visualMode),
+      performance.now()
+    );
+    if (changed) applyQrSettings(changed);
+  }
+  statusEl.textContent = `표시 모드: ${
+    visualModeSelect.options[visualModeSelect.selectedIndex].text
+  }`;
+});
+
+// 스캔 플래그(lib/anomaly.js) → 표 표시용 라벨
+// - 공유 상대 학번 수는 서버의 anomalies 요약에서 가져온다.
+function formatFlags(flags, peers) {
+  const labels = [];
+  if (flags.has("shared_token")) {
+    const n = peers ? peers.sharedTokenWith.length : 0;
+    labels.push(`토큰 공유(${n})`);
+  }
+  if (flags.has("replay")) labels.push("재전송");
+  if (flags.has("shared_device")) {
+    const n = peers ? peers.devicePeers.length : 0;
+    labels.push(`기기 공유(${n})`);
+  }
+  if (flags.has("shared_ip")) {
+    const n = peers ? peers.ipPeers.length : 0;
+    labels.push(`IP 공유(${n})`);
+  }
+  if (flags.has("stale")) labels.push("지연 초과");
+  if (flags.has("delayed")) labels.push("지연 전송(확인 필요)");
+  return labels.length ? labels.join(", ") : "-";
+}
+
+// browser 모드에서 이 탭이 계산한 delta를 서버에 보고
+async function reportDeltas(sessionId, items) {
+  if (items.length === 0) return;
+  try {
+    const res = await fetch(`/api/sessions/${sessionId}/deltas`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ items }),
+    });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    // 서버에 저장됐으므로 더 기억할 필요가 없다 (다시 받으면 row.delta 로 온다)
+    if (logState.session && logState.session.id === sessionId) {
+      for (const item of items) logState.reportingIds.delete(item.id);
+    }
+  } catch (e) {
+    // 다음 표 갱신 때 다시 보고하도록 되돌려 둔다.
+    if (logState.session && logState.session.id === sessionId) {
+      logState.pendingDeltas.push(...items);
+    }
+    console.error("[Deltas] 보고 실패", e);
+  }
+}
+
+// === 출석 로그 수신 (SSE + 폴링 대체) ===
+
+function stopLogUpdates() {
+  if (logStream) {
+    logStream.close();
+    logStream = null;
+  }
+  clearInterval(logPollTimer);
+  logPollTimer = null;
+}
+
+// 보고 있는 세션이 바뀌면 로그를 처음부터 다시 받고 실시간 수신을 연결한다.
+async function watchAttendLog() {
+  stopLogUpdates();
+  Object.assign(logState, {
+    sessionId: viewSessionId,
+    session: null,
+    lastId: 0,
+    anomalies: {},
+    roster: null,
+    overrides: new Map(),
+    scoring: null,
+    access: null,
+    students: new Map(),
+    pendingDeltas: [],
+    reportingIds: new Set(),
+    clockToleranceMs: 0,
+    captureToleranceMs: 0,
+  });
+  logRows.clear();
+  showScoringSource(null);
+  profLogTableBody.innerHTML = "";
+  scheduleLogRender();
+  if (!viewSessionId) return;
+  await fetchLogSince();
+  if (logState.sessionId !== viewSessionId) return;
+  openLogStream();
+  if (logState.access === "owner") loadCourseInfo(logState.session.courseId);
 }
 
-function median(values) {
-  if (values.length === 0) return 0;
-  const sorted = [...values].sort((a, b) => a - b);
-  const mid = Math.floor(sorted.length / 2);
-  if (sorted.length % 2 === 0) {
-    return (sorted[mid - 1] + sorted[mid]) / 2;
+function appendLogItems(items) {
+  for (const item of items) {
+    if (item.id <= logState.lastId) continue; // 재연결 시 중복 전달분
+    logState.lastId = item.id;
+    ingestScan(item);
   }
-  return sorted[mid];
 }
 
-// 이상치를 과감하게 제외하고 평균 계산
-// - 전체 분포의 "중심"은 평균이 아니라 median 기반으로 잡는다.
-// - median과 MAD(Median Absolute Deviation)를 이용해 중심 클러스터만 남기고 평균/표준편차 계산.
-function calculateRobustMean(studentAverages) {
-  if (studentAverages.length === 0) return { mean: 0, std: 0, included: [] };
+// 스캔 1건을 학번별 누적 집계에 반영 (O(1))
+function ingestScan(row) {
+  let student = logState.students.get(row.studentId);
+  if (!student) {
+    student = {
+      agg: AttendStats.createDeltaAggregate(),
+      captureAgg: AttendStats.createDeltaAggregate(),
+      flags: new Set(),
+    };
+    logState.students.set(row.studentId, student);
+  }
+  for (const flag of row.flags || []) student.flags.add(flag);
+  noteScanRate(row);
 
-  // 1) 중앙값 기준으로 1차 중심 추정
-  const med = median(studentAverages);
-  const absDeviations = studentAverages.map(v => Math.abs(v - med));
-  const mad = median(absDeviations); // Median Absolute Deviation
+  if (row.verdict) {
+    // 서버가 판정한 delta 사용 (거부된 토큰, 교수 확인을 기다리는 늦은 대기열 스캔은 제외)
+    if (row.verdict === "rejected" || row.verdict === "pending") return;
+    addStudentDelta(student, row, row.delta);
+  } else if (typeof row.delta === "number") {
+    // browser 모드: 이전에 이 페이지가 보고해 둔 delta
+    addClockTolerance(row.deltaUncertaintyMs);
+    addStudentDelta(student, row, row.delta);
+  } else {
+    // 이 생성 세션에서 만든 토큰만 대상으로 삼는다.
+    const createdAt = tokenCreatedAt.get(row.cipher);
+    if (createdAt !== undefined) {
+      addBrowserDelta(student, row, scanTimeOf(row) - createdAt);
+      return;
+    }
+    // 캐시에서 밀려난 토큰 (늦게 도착했거나 표를 늦게 연 경우)
+    const sessionId = logState.sessionId;
+    recoverTokenDelta(row).then((delta) => {
+      if (delta === null || logState.sessionId !== sessionId) return;
+      addBrowserDelta(student, row, delta);
+      scheduleLogRender();
+    });
+  }
+}
 
-  if (mad === 0) {
-    // 모두 거의 같은 값인 경우
-    const { mean, std } = calculateMeanStd(studentAverages);
-    return { mean, std, included: [...studentAverages] };
+// 지금 송출 중인 세션에 방금 들어온 스캔의 인식률만 적응형 송출에 넘긴다.
+// (로그를 처음 불러올 때 받은 지난 스캔은 지금 화면 설정과 관계없으므로 버린다)
+const SCAN_RATE_MAX_AGE_MS = 10000;
+function noteScanRate(row) {
+  if (
+    !adaptor ||
+    !running ||
+    !currentSession ||
+    String(row.sessionId) !== String(currentSession.id) ||
+    typeof row.clientScanRate !== "number" ||
+    timeSync.now() - row.serverRecvTs > SCAN_RATE_MAX_AGE_MS
+  ) {
+    return;
   }
+  adaptor.recordScanRate(row.clientScanRate, performance.now());
+}
 
-  // MAD로부터 표준편차 근사 (정규분포 가정 하에서)
-  const approxStd = 1.4826 * mad;
+// 스캔 시각: 보통은 서버 수신 시각 (서버의 lib/attendance.js scanTime 과 같은 규칙)
+// - 체크인으로 모아 보낸 프레임: 수신 시각에서 마지막 프레임과의 캡처 간격을 뺀 시각
+function scanTimeOf(row) {
+  if (typeof row.checkinOffsetMs === "number") {
+    return row.serverRecvTs - row.checkinOffsetMs;
+  }
+  return row.serverRecvTs;
+}
 
-  // 2) median 기준으로 k * approxStd 이내만 "정상 클러스터"로 취급
-  //    → 멀리 떨어진 애들은 처음부터 평균 계산에 아예 넣지 않는다.
-  const thresholdK = 1.5; // 조금만 벗어나도 과감하게 제외
-  const included = studentAverages.filter(v => Math.abs(v - med) <= thresholdK * approxStd);
+// browser 모드: 이 탭이 계산한 delta를 집계에 넣고 서버 보고 대기열에 추가
+function addBrowserDelta(student, row, delta) {
+  const { uncertaintyMs } = timeSync.getState();
+  if (!logState.reportingIds.has(row.id)) {
+    logState.reportingIds.add(row.id);
+    logState.pendingDeltas.push({ id: row.id, delta, uncertaintyMs });
+  }
+  addClockTolerance(uncertaintyMs);
+  addStudentDelta(student, row, delta);
+}
 
-  if (included.length === 0) {
-    // 모두 제외돼 버리면, 원본 전체로 fallback
-    const { mean, std } = calculateMeanStd(studentAverages);
-    return { mean, std, included: [...studentAverages] };
+function addClockTolerance(uncertaintyMs) {
+  if (typeof uncertaintyMs === "number" && uncertaintyMs > logState.clockToleranceMs) {
+    logState.clockToleranceMs = uncertaintyMs;
   }
+}
 
-  const { mean, std } = calculateMeanStd(included);
-  return { mean, std, included };
+// delta = (토큰 표시 → 카메라 캡처) + (캡처 → 디코딩/전송 → 서버 수신)
+// 스캐너가 캡처 시각을 보고했으면 뒤쪽(학생 기기/네트워크 지연)을 빼서 캡처 지연을 구한다.
+// - 학생 기기가 스스로 보고한 값이므로 MAX_UPLINK_CREDIT_MS 까지만 빼 준다.
+// - 캡처 시각이 없으면 전체 delta를 그대로 쓴다.
+const MAX_UPLINK_CREDIT_MS = 2000;
+function captureDeltaFor(row, delta) {
+  if (typeof row.clientCaptureTs !== "number") return delta;
+  const uplink = scanTimeOf(row) - row.clientCaptureTs;
+  return delta - Math.min(Math.max(uplink, 0), MAX_UPLINK_CREDIT_MS);
 }
 
-// 교수용: 서버에서 최근 출석 인증 로그를 가져와 테이블에 표시
-// 같은 학번이면 집계하여 하나의 행으로 표시
-// 통계 기반 이상치 탐지로 의심률 측정
-async function refreshAttendLog() {
+function addStudentDelta(student, row, delta) {
+  if (delta < 0) return; // 시계 차이 등으로 이상하면 스킵
+  // 이 시간(ms)보다 늦게 도착한 토큰은 "지연 초과"로 표시 (세션별 설정)
+  const freshWindowMs = (logState.session && logState.session.freshWindowMs) || 3000;
+  if (delta > freshWindowMs) student.flags.add("stale");
+  AttendStats.addDelta(student.agg, delta);
+  AttendStats.addDelta(
+    student.captureAgg,
+    Math.max(captureDeltaFor(row, delta), 0)
+  );
+  // 캡처 지연에는 스캐너 시계의 불확실성도 더해진다.
+  if (typeof row.clientCaptureTs === "number") {
+    const tolerance =
+      logState.clockToleranceMs + (row.clientClockUncertaintyMs || 0);
+    if (tolerance > logState.captureToleranceMs) {
+      logState.captureToleranceMs = tolerance;
+    }
+  }
+}
+
+// 마지막으로 받은 스캔 이후의 로그 + 명단/anomalies 요약을 가져온다.
+async function fetchLogSince() {
+  const sessionId = logState.sessionId;
+  if (!sessionId) return;
   try {
-    const res = await fetch("/api/attend-log");
+    const res = await fetch(
+      `/api/attend-log?sessionId=${encodeURIComponent(sessionId)}` +
+        `&since=${logState.lastId}`
+    );
     if (!res.ok) return;
     const data = await res.json();
-    const items = data.items || [];
-    
-    // 학번별로 데이터 집계
-    const studentData = new Map(); // studentId -> { deltas: [] }
-    
-    for (const row of items) {
-      // 이 생성 세션에서 만든 토큰만 대상으로 삼는다.
-      const createdAt = tokenCreatedAt.get(row.cipher);
-      if (!createdAt) continue;
-
-      const delta = row.serverRecvTs - createdAt;
-      if (delta < 0) continue; // 시계 차이 등으로 이상하면 스킵
-      
-      const studentId = row.studentId;
-      if (!studentData.has(studentId)) {
-        studentData.set(studentId, {
-          deltas: [],
-        });
-      }
-      
-      const student = studentData.get(studentId);
-      student.deltas.push(delta);
+    // 응답을 기다리는 동안 다른 세션으로 바뀌었으면 버린다.
+    if (sessionId !== logState.sessionId) return;
+    logState.session = data.session;
+    logState.access = data.access || null;
+    scoringSaveBtn.disabled = logState.access !== "owner";
+    logState.anomalies = data.anomalies || {};
+    logState.roster = data.roster || null;
+    logState.overrides = new Map(
+      (data.overrides || []).map((o) => [o.studentId, o])
+    );
+    // 기준은 세션을 열 때 한 번만 가져온다 (폴링 중에 편집 중인 값을 덮어쓰지 않도록)
+    if (!logState.scoring && data.scoring) {
+      showScoring(data.scoring);
+      showScoringSource(data.scoring.source);
     }
-    
-    // 각 학생의 평균 지연시간 계산
-    const studentAverages = [];
-    const studentAvgMap = new Map(); // studentId -> 평균 지연시간
-    
-    for (const [studentId, data] of studentData.entries()) {
-      if (data.deltas.length === 0) continue;
-      const avg = data.deltas.reduce((a, b) => a + b, 0) / data.deltas.length;
-      studentAverages.push(avg);
-      studentAvgMap.set(studentId, avg);
+    appendLogItems(data.items || []);
+    scheduleLogRender();
+  } catch {
+    // 조용히 무시 (다음 폴링/재연결 때 다시 받는다)
+  }
+}
+
+function startLogPolling() {
+  if (logPollTimer) return;
+  logPollTimer = setInterval(fetchLogSince, LOG_POLL_INTERVAL_MS);
+}
+
+function openLogStream() {
+  if (typeof EventSource === "undefined") {
+    startLogPolling();
+    return;
+  }
+  const sessionId = logState.sessionId;
+  const stream = new EventSource(
+    `/api/sessions/${encodeURIComponent(sessionId)}/stream` +
+      `?since=${logState.lastId}`
+  );
+  stream.addEventListener("scan", (e) => {
+    appendLogItems([JSON.parse(e.data)]);
+    scheduleLogRender();
+  });
+  stream.addEventListener("anomalies", (e) => {
+    logState.anomalies = JSON.parse(e.data);
+    scheduleLogRender();
+  });
+  stream.addEventListener("override", (e) => {
+    applyOverride(JSON.parse(e.data));
+  });
+  stream.addEventListener("session", (e) => {
+    logState.session = JSON.parse(e.data);
+  });
+  stream.onerror = () => {
+    // 일시적인 끊김은 브라우저가 Last-Event-ID로 알아서 재연결한다.
+    // 아예 닫혔으면(프록시가 SSE를 막는 경우 등) 폴링으로 전환.
+    if (stream.readyState === EventSource.CLOSED && logStream === stream) {
+      logStream = null;
+      console.warn("[Log] SSE 연결 불가, 폴링으로 전환");
+      startLogPolling();
     }
-    
-    // 이상치를 제외한 강건한 평균 계산 (표준편차 2배 이상 벗어난 값 제외)
-    const robustStats = calculateRobustMean(studentAverages, 2.0);
-    const globalMean = robustStats.mean;
-    const globalStd = robustStats.std;
-    
-    // 테이블 업데이트: 학번별로 하나의 행만 표시
-    profLogTableBody.innerHTML = "";
-    
-    // 학번별로 정렬 (학번 순서대로)
-    const sortedStudents = Array.from(studentData.entries()).sort((a, b) => 
-      a[0].localeCompare(b[0])
+  };
+  logStream = stream;
+}
+
+function scheduleLogRender() {
+  if (logRenderTimer) return;
+  logRenderTimer = setTimeout(() => {
+    logRenderTimer = null;
+    renderAttendLog();
+  }, LOG_RENDER_INTERVAL_MS);
+}
+
+// 행 하나를 그린다 (이전과 내용이 같으면 DOM을 건드리지 않음)
+// - 마지막 칸은 수동 처리(override) 선택 상자
+function updateLogRow(studentId, className, cells) {
+  const override = logState.overrides.get(studentId);
+  const overrideStatus = override ? override.status : "auto";
+  if (override) className += " override-row";
+  const signature = [
+    className,
+    ...cells,
+    overrideStatus,
+    logState.access,
+  ].join("|");
+  let row = logRows.get(studentId);
+  if (!row) {
+    row = { tr: document.createElement("tr"), signature: null };
+    logRows.set(studentId, row);
+  }
+  if (row.signature !== signature) {
+    row.signature = signature;
+    row.tr.className = className;
+    row.tr.title = override ? `수동 처리: ${override.reason}` : "";
+    const controlTd = document.createElement("td");
+    controlTd.appendChild(overrideControl(studentId, overrideStatus));
+    row.tr.replaceChildren(
+      ...cells.map((text) => {
+        const td = document.createElement("td");
+        td.textContent = text;
+        return td;
+      }),
+      controlTd
+    );
+  }
+  return row.tr;
+}
+
+// === 수동 처리 (override) ===
+const OVERRIDE_LABELS = {
+  auto: "자동",
+  present: "출석",
+  late: "지각",
+  absent: "결석",
+  excused: "공결",
+  proxy: "대리 출석",
+};
+
+function overrideControl(studentId, status) {
+  const select = document.createElement("select");
+  for (const [value, label] of Object.entries(OVERRIDE_LABELS)) {
+    const opt = document.createElement("option");
+    opt.value = value;
+    opt.textContent = label;
+    select.appendChild(opt);
+  }
+  select.value = status;
+  select.disabled = logState.access !== "owner";
+  select.addEventListener("change", async () => {
+    const next = select.value;
+    // 이유 없이 바꿀 수 없다 (학생 이의 제기 시 근거로 남김)
+    const reason = prompt(
+      `${studentId} → ${OVERRIDE_LABELS[next]}: 처리 이유를 입력하세요.`
     );
-    
-    for (const [studentId, data] of sortedStudents) {
-      const deltas = data.deltas;
-      const count = deltas.length;
-      if (count === 0) continue;
-      
-      const avgDelta = Math.round(deltas.reduce((a, b) => a + b, 0) / count);
-      const minDelta = Math.min(...deltas);
-      const maxDelta = Math.max(...deltas);
-      
-      // 통계 기반 의심률 계산
-      // 학생의 평균이 전체 평균에서 얼마나 벗어났는지 측정
-      const studentAvg = studentAvgMap.get(studentId);
-      let suspectRate = 0;
-
-      if (globalStd > 0) {
-        const diff = studentAvg - globalMean;
-        const absDiff = Math.abs(diff);
-
-        // 1) 평균으로부터 ±50ms 이내는 의심하지 않음 (데드존)
-        if (absDiff <= 50) {
-          suspectRate = 0;
-        } else {
-          const zScore = Math.abs(diff / globalStd);
-
-          // 2) Z-score 기준을 조금 더 빡세게 조정
-          // - 0~1σ: 0% (데드존 + 거의 정상)
-          // - 1~2σ: 30~70%
-          // - 2~3σ: 70~95%
-          // - 3σ 이상: 95~100%
-          if (zScore < 1.0) {
-            suspectRate = 0;
-          } else if (zScore < 2.0) {
-            suspectRate = Math.round(30 + (zScore - 1.0) * 40); // 30-70%
-          } else if (zScore < 3.0) {
-            suspectRate = Math.round(70 + (zScore - 2.0) * 25); // 70-95%
-          } else {
-            suspectRate = Math.round(95 + Math.min((zScore - 3.0) * 5, 5)); // 95-100%
-          }
+    if (!reason || !reason.trim()) {
+      select.value = status;
+      return;
+    }
+    try {
+      const res = await fetch(
+        `/api/sessions/${encodeURIComponent(logState.sessionId)}/overrides`,
+        {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ studentId, status: next, reason }),
         }
-      }
-      
-      // 의심률에 따라 행 색상 결정
-      const tr = document.createElement("tr");
-      if (suspectRate === 0) {
-        tr.classList.add("risk-normal-row");
-      } else if (suspectRate < 50) {
-        tr.classList.add("risk-suspect-row");
-      } else {
-        tr.classList.add("risk-high-row");
-      }
-      
-      tr.innerHTML = `
-        <td>${studentId}</td>
-        <td>${count}</td>
-        <td>${avgDelta}</td>
-        <td>${minDelta}</td>
-        <td>${maxDelta}</td>
-        <td>${suspectRate}%</td>
-      `;
-      profLogTableBody.appendChild(tr);
+      );
+      const data = await res.json();
+      if (!data.ok) throw new Error(data.error);
+      applyOverride(data.override);
+    } catch (err) {
+      select.value = status;
+      statusEl.textContent = "수동 처리 실패: " + err.message;
     }
-  } catch {
-    // 조용히 무시 (로그 페이지에만 영향)
+  });
+  return select;
+}
+
+function applyOverride(override) {
+  if (String(override.sessionId) !== String(logState.sessionId)) return;
+  if (override.status === null) {
+    logState.overrides.delete(override.studentId);
+  } else {
+    logState.overrides.set(override.studentId, override);
+  }
+  scheduleLogRender();
+}
+
+// 변경 이력(감사 로그) 표시
+async function showAuditLog() {
+  if (!logState.sessionId) return;
+  try {
+    const res = await fetch(
+      `/api/sessions/${encodeURIComponent(logState.sessionId)}/overrides`
+    );
+    const data = await res.json();
+    if (!data.ok) throw new Error(data.error);
+    auditLogEl.replaceChildren(
+      ...data.audit.map((entry) => {
+        const li = document.createElement("li");
+        const from = OVERRIDE_LABELS[entry.previousStatus || "auto"];
+        const to = OVERRIDE_LABELS[entry.status || "auto"];
+        li.textContent =
+          `${new Date(entry.at).toLocaleString()} · ${entry.actor} · ` +
+          `${entry.studentId}: ${from} → ${to} (${entry.reason})`;
+        return li;
+      })
+    );
+    if (data.audit.length === 0) auditLogEl.textContent = "변경 이력 없음";
+  } catch (err) {
+    statusEl.textContent = "변경 이력 조회 실패: " + err.message;
+  }
+}
+
+// 교수용: 받아 둔 출석 인증 로그를 테이블에 표시
+// 같은 학번이면 집계하여 하나의 행으로 표시
+// 통계 기반 이상치 탐지로 의심률 측정
+// - 학번별 집계는 ingestScan에서 이미 끝나 있으므로 여기서는 학생 수만큼만 돈다.
+function renderAttendLog() {
+  if (!logState.session) return;
+  const anomalies = logState.anomalies;
+  // 수강생 명단 (등록된 강의만): 이름 표시 및 결석자 행 추가용
+  const roster = new Map((logState.roster || []).map((s) => [s.studentId, s]));
+  const labelFor = (studentId) => {
+    const student = roster.get(studentId);
+    return student && student.name ? `${studentId} (${student.name})` : studentId;
+  };
+
+  if (logState.pendingDeltas.length > 0) {
+    // 조교 화면은 읽기 전용이므로 보고하지 않는다.
+    if (logState.access === "owner") {
+      reportDeltas(logState.session.id, logState.pendingDeltas);
+    }
+    logState.pendingDeltas = [];
   }
+
+  // 학번별 스캔 플래그 + 먼저 제출한 쪽(플래그가 붙지 않은 원래 토큰 주인)도 공유 관계로 표시
+  const flagsFor = (studentId) => {
+    const flags = new Set(logState.students.get(studentId).flags);
+    const peers = anomalies[studentId];
+    if (peers) {
+      if (peers.sharedTokenWith.length) flags.add("shared_token");
+      if (peers.devicePeers.length) flags.add("shared_device");
+      if (peers.ipPeers.length) flags.add("shared_ip");
+    }
+    return flags;
+  };
+
+  // 학번별 평균/최소/최대 지연과 의심률 (stats.js, 서버 내보내기와 같은 계산)
+  // - 캡처 지연 기준이면 학생 휴대폰의 네트워크 지연을 뺀 값으로 판정한다.
+  const byCapture = latencyBasisSelect.value === "capture";
+  const aggregates = new Map();
+  for (const [studentId, student] of logState.students) {
+    aggregates.set(studentId, byCapture ? student.captureAgg : student.agg);
+  }
+  const summaries = AttendStats.summarizeAggregates(aggregates, {
+    toleranceMs: Math.max(
+      logState.clockToleranceMs,
+      byCapture ? logState.captureToleranceMs : 0
+    ),
+    scoring: logState.scoring || undefined,
+    // 강의실 교정 기준은 캡처 지연 기준이면 기기 → 서버 지연을 빼고 비교한다.
+    basis: byCapture ? "capture" : "raw",
+  });
+
+  // 표시 순서: 유효한 스캔이 있는 학번 → 명단에만 있는 학번 (각각 학번 순)
+  const desired = [];
+  const scannedIds = Array.from(summaries.keys()).sort((a, b) =>
+    a.localeCompare(b)
+  );
+  for (const studentId of scannedIds) {
+    const { count, avgDelta, minDelta, maxDelta, suspectRate, suspectReason } =
+      summaries.get(studentId);
+    const flags = flagsFor(studentId);
+    // 의심률에 따라 행 색상 결정
+    let className;
+    if (flags.has("shared_token") || flags.has("shared_device")) {
+      // 토큰/기기 공유는 지연 통계와 무관하게 고위험으로 표시
+      className = "risk-high-row";
+    } else if (suspectRate === 0) {
+      className = "risk-normal-row";
+    } else if (suspectRate < 50) {
+      className = "risk-suspect-row";
+    } else {
+      className = "risk-high-row";
+    }
+    desired.push(
+      updateLogRow(studentId, className, [
+        labelFor(studentId),
+        count,
+        avgDelta,
+        minDelta,
+        maxDelta,
+        `${suspectRate}%`,
+        suspectReason || "-",
+        formatFlags(flags, anomalies[studentId]),
+      ])
+    );
+  }
+
+  // 명단에 있지만 유효한 스캔이 없는 수강생: 스캔 기록이 전혀 없으면 결석, 있으면 미확인
+  // (명단에 없어도 수동 처리된 학생은 표시)
+  const absentIds = Array.from(
+    new Set([...roster.keys(), ...logState.overrides.keys()])
+  )
+    .filter((id) => !summaries.has(id))
+    .sort((a, b) => a.localeCompare(b));
+  for (const studentId of absentIds) {
+    const override = logState.overrides.get(studentId);
+    let status = logState.students.has(studentId) ? "미확인" : "결석";
+    if (override) status = OVERRIDE_LABELS[override.status];
+    desired.push(
+      updateLogRow(studentId, "absent-row", [
+        labelFor(studentId), 0, "-", "-", "-", "-", "-", status,
+      ])
+    );
+  }
+
+  // 순서가 달라진 행만 옮기고, 더 이상 표시하지 않는 행은 뺀다.
+  const keep = new Set(desired);
+  for (const [studentId, row] of logRows) {
+    if (!keep.has(row.tr)) {
+      row.tr.remove();
+      logRows.delete(studentId);
+    }
+  }
+  desired.forEach((tr, i) => {
+    if (profLogTableBody.children[i] !== tr) {
+      profLogTableBody.insertBefore(tr, profLogTableBody.children[i] || null);
+    }
+  });
 }
 
-// 1초마다 출석 로그 새로고침!
-setInterval(refreshAttendLog, 1000);
+loadAccount();
 
 
 
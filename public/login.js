@@ -0,0 +1,59 @@
+// login.js
+// /login 페이지: 교수 / 조교 로그인 후 next(기본 /generator)로 이동한다.
+// - 교수 계정 가입은 서버의 PROFESSOR_INVITE_CODE 와 같은 초대 코드가 필요하다.
+// - 조교는 학생 계정으로 로그인한다. (강의 소유 교수가 조교로 지정한 계정만 /generator 에 들어갈 수 있다)
+
+const accountIdInput = document.getElementById("accountId");
+const passwordInput = document.getElementById("password");
+const inviteCodeInput = document.getElementById("inviteCode");
+const loginBtn = document.getElementById("loginBtn");
+const registerBtn = document.getElementById("registerBtn");
+const statusEl = document.getElementById("status");
+
+const params = new URLSearchParams(location.search);
+// 같은 사이트 안의 경로만 허용 (다른 사이트로 보내는 링크 방지)
+const nextPath = /^\/(?!\/)/.test(params.get("next") || "")
+  ? params.get("next")
+  : "/generator";
+
+if (params.get("denied")) {
+  statusEl.textContent =
+    "이 계정은 교수 계정이 아니고 조교로 지정된 강의도 없습니다. 다른 계정으로 로그인하세요.";
+}
+
+async function submitCredentials(path) {
+  const studentId = accountIdInput.value.trim();
+  const password = passwordInput.value;
+  if (!studentId || !password) {
+    alert("아이디와 비밀번호를 입력하세요.");
+    return;
+  }
+  const body = { studentId, password };
+  if (path === "/api/auth/register") {
+    if (!inviteCodeInput.value) {
+      alert("교수 계정 가입에는 초대 코드가 필요합니다.");
+      return;
+    }
+    body.inviteCode = inviteCodeInput.value;
+  }
+  try {
+    const res = await fetch(path, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+    const data = await res.json();
+    if (!data.ok) {
+      statusEl.textContent = `로그인 실패: ${data.error || "unknown"}`;
+      return;
+    }
+    location.href = nextPath;
+  } catch (err) {
+    statusEl.textContent = "서버 통신 오류: " + err.message;
+  }
+}
+
+loginBtn.addEventListener("click", () => submitCredentials("/api/auth/login"));
+registerBtn.addEventListener("click", () =>
+  submitCredentials("/api/auth/register")
+);
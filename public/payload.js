@@ -0,0 +1,100 @@
+// payload.js
+// QR 토큰 payload 인코딩 / 디코딩 (브라우저 / Node 공용)
+// - 브라우저: <script src="/public/payload.js"> 로 불러오면 window.AttendPayload 로 사용
+// - Node   : require("./public/payload") (lib/token.js, 서버 검증)
+// - 첫 바이트(version)로 형식을 구분한다. 새 형식을 추가해도 이전 형식 토큰은 계속 읽을 수 있다.
+//
+// payload v1 (10바이트, 이전 형식 - 읽기만 지원)
+//   [0]       : version (1)
+//   [1..4]    : tsLow = 생성 시각(ms)의 하위 32비트 (uint32 BE, 약 49.7일 주기로 래핑)
+//   [5]       : roomCode
+//   [6..9]    : randomNonce (4바이트)
+//
+// payload v2 (23바이트)
+//   [0]       : version (2)
+//   [1..8]    : ts = 생성 시각(ms) (uint64 BE, 상위/하위 32비트로 나눠 기록)
+//   [9..12]   : sessionId (uint32 BE)
+//   [13..16]  : seq = 세션 안에서 토큰마다 1씩 늘어나는 프레임 번호 (uint32 BE)
+//   [17]      : keyId = 토큰을 암호화한 세션 키 번호 (키 교체 대비)
+//   [18]      : roomCode
+//   [19..22]  : randomNonce (4바이트)
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.AttendPayload = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  const CURRENT_VERSION = 2;
+  const PAYLOAD_LENGTHS = { 1: 10, 2: 23 };
+  const UINT32 = 0x100000000;
+
+  function view(bytes) {
+    return new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  }
+
+  // fields: { ts, sessionId, seq, keyId, roomCode, nonce(4바이트) } → Uint8Array (v2)
+  function encodePayload({ ts, sessionId, seq, keyId = 0, roomCode, nonce }) {
+    const bytes = new Uint8Array(PAYLOAD_LENGTHS[2]);
+    const dv = view(bytes);
+    bytes[0] = 2;
+    dv.setUint32(1, Math.floor(ts / UINT32), false);
+    dv.setUint32(5, ts % UINT32, false);
+    dv.setUint32(9, sessionId >>> 0, false);
+    dv.setUint32(13, seq >>> 0, false);
+    bytes[17] = keyId & 0xff;
+    bytes[18] = roomCode & 0xff;
+    bytes.set(nonce.subarray(0, 4), 19);
+    return bytes;
+  }
+
+  // Uint8Array(Buffer 포함) → { version, ts, tsLow, sessionId, seq, keyId, roomCode }
+  // - v1 에는 없는 필드(ts, sessionId, seq, keyId)는 null
+  // - 알 수 없는 version 이거나 길이가 맞지 않으면 null
+  function decodePayload(bytes) {
+    if (!bytes || bytes.length === 0) return null;
+    const version = bytes[0];
+    if (bytes.length !== PAYLOAD_LENGTHS[version]) return null;
+    const dv = view(bytes);
+
+    if (version === 1) {
+      return {
+        version,
+        ts: null,
+        tsLow: dv.getUint32(1, false),
+        sessionId: null,
+        seq: null,
+        keyId: null,
+        roomCode: bytes[5],
+      };
+    }
+    const tsLow = dv.getUint32(5, false);
+    return {
+      version,
+      ts: dv.getUint32(1, false) * UINT32 + tsLow,
+      tsLow,
+      sessionId: dv.getUint32(9, false),
+      seq: dv.getUint32(13, false),
+      keyId: bytes[17],
+      roomCode: bytes[18],
+    };
+  }
+
+  // 수신 시각 기준 토큰 경과 시간(ms). 음수 = 수신 시각보다 미래에 생성된 토큰
+  // - v2: 전체 시각의 차이
+  // - v1: 32비트 래핑을 고려해 하위 32비트의 차이를 부호 있는 32비트 값으로 해석
+  function tokenAgeMs(nowMs, decoded) {
+    if (decoded.ts !== null) return nowMs - decoded.ts;
+    const nowLow = (nowMs % UINT32) >>> 0;
+    return (nowLow - decoded.tsLow) | 0;
+  }
+
+  return {
+    CURRENT_VERSION,
+    PAYLOAD_LENGTHS,
+    encodePayload,
+    decodePayload,
+    tokenAgeMs,
+  };
+});
@@ -0,0 +1,297 @@
+// qrdecode.js
+// 카메라 프레임 QR 디코딩 (브라우저 메인 스레드 / 워커 공용)
+// - 브라우저: <script src="/public/qrdecode.js"> 로 불러오면 window.AttendQrDecode 로 사용
+// - 워커   : public/scanworker.js 가 importScripts 로 불러온다 (self.AttendQrDecode)
+// - createFrameDecoder: 프레임 한 장 디코딩
+//   - 관심 영역(ROI): 직전에 QR을 찾은 영역을 여백 50%를 붙여 잘라서 디코딩한다.
+//     ROI에서 ROI_MISS_LIMIT 번 연속 못 찾으면 전체 프레임으로 돌아간다.
+//   - 적응형 축소: 디코딩 이미지의 긴 변(side)을 디코딩 시간이 budgetMs 를 넘으면 줄이고,
+//     전체 프레임에서 못 찾는데 시간 여유가 있으면 늘린다 (minSide ~ maxSide).
+//   - 네이티브 BarcodeDetector(qr_code)가 있으면 쓰고, 없으면 jsQR.
+// - createScanPipeline: /attend 스캔 루프용
+//   - Worker + OffscreenCanvas + createImageBitmap 을 쓸 수 있으면 디코딩을 워커(scanworker.js)로 넘기고,
+//     안 되면(이전 Safari, file:// 등) 같은 디코더를 메인 스레드에서 돌린다.
+//   - 한 번에 한 프레임만 디코딩한다. 디코딩 중에 온 프레임은 건너뛴다 (밀린 프레임을 쌓지 않음).
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.AttendQrDecode = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  // attend.html / qr_detect.html 의 <script> 와 같은 버전
+  const JSQR_URL = "https://cdn.jsdelivr.net/npm/jsqr@1.4.0/dist/jsQR.js";
+  const ROI_MARGIN = 0.5;
+  const ROI_MISS_LIMIT = 3;
+  const WORKER_READY_TIMEOUT_MS = 5000;
+
+  function clamp(value, min, max) {
+    return Math.min(max, Math.max(min, value));
+  }
+
+  // 네이티브 QR 인식기 (없거나 qr_code 를 지원하지 않으면 null)
+  async function createNativeDetector() {
+    if (typeof BarcodeDetector === "undefined") return null;
+    try {
+      const formats = await BarcodeDetector.getSupportedFormats();
+      if (!formats.includes("qr_code")) return null;
+      return new BarcodeDetector({ formats: ["qr_code"] });
+    } catch {
+      return null;
+    }
+  }
+
+  // jsQR location(네 꼭짓점) → { x, y, width, height }
+  function boxOfCorners(location) {
+    const points = [
+      location.topLeftCorner,
+      location.topRightCorner,
+      location.bottomRightCorner,
+      location.bottomLeftCorner,
+    ];
+    const xs = points.map((p) => p.x);
+    const ys = points.map((p) => p.y);
+    const x = Math.min(...xs);
+    const y = Math.min(...ys);
+    return { x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y };
+  }
+
+  // options.createCanvas : (width, height) => canvas (OffscreenCanvas / HTMLCanvasElement)
+  // options.loadJsQR     : () => jsQR 함수 (네이티브 인식기가 없을 때만 부른다)
+  // options.side         : 처음 디코딩 이미지 긴 변 (px)
+  // options.minSide / maxSide / budgetMs : 적응형 축소 범위와 프레임당 목표 디코딩 시간
+  async function createFrameDecoder({
+    createCanvas,
+    loadJsQR,
+    side = 640,
+    minSide = 320,
+    maxSide = 1280,
+    budgetMs = 25,
+    native = true,
+  } = {}) {
+    const detector = native ? await createNativeDetector() : null;
+    const jsQR = detector ? null : loadJsQR();
+    if (!detector && typeof jsQR !== "function") {
+      throw new Error("QR 디코더를 불러오지 못했습니다.");
+    }
+    const canvas = createCanvas(1, 1);
+    const ctx = canvas.getContext("2d", { willReadFrequently: true });
+    if (!ctx) throw new Error("2D 캔버스를 쓸 수 없습니다.");
+
+    let roi = null; // 직전에 찾은 QR 영역 (프레임 좌표)
+    let roiMisses = 0;
+
+    // 이번 프레임에서 잘라 낼 영역과 축소 비율
+    function plan(width, height) {
+      let sx = 0;
+      let sy = 0;
+      let sw = width;
+      let sh = height;
+      if (roi) {
+        const margin = Math.max(roi.width, roi.height) * ROI_MARGIN;
+        sx = clamp(Math.floor(roi.x - margin), 0, width - 1);
+        sy = clamp(Math.floor(roi.y - margin), 0, height - 1);
+        sw = clamp(Math.ceil(roi.x + roi.width + margin), sx + 1, width) - sx;
+        sh = clamp(Math.ceil(roi.y + roi.height + margin), sy + 1, height) - sy;
+      }
+      const scale = Math.min(1, side / Math.max(sw, sh));
+      return {
+        sx,
+        sy,
+        sw,
+        sh,
+        scale,
+        dw: Math.max(1, Math.round(sw * scale)),
+        dh: Math.max(1, Math.round(sh * scale)),
+      };
+    }
+
+    async function detect(p) {
+      if (detector) {
+        const codes = await detector.detect(canvas);
+        if (!codes.length) return null;
+        const { x, y, width, height } = codes[0].boundingBox;
+        return { data: codes[0].rawValue, box: { x, y, width, height } };
+      }
+      const image = ctx.getImageData(0, 0, p.dw, p.dh);
+      const code = jsQR(image.data, p.dw, p.dh, {
+        inversionAttempts: "dontInvert",
+      });
+      return code && code.data
+        ? { data: code.data, box: boxOfCorners(code.location) }
+        : null;
+    }
+
+    // source(video / ImageBitmap) 한 장 디코딩
+    // 반환: { data(없으면 null), box(프레임 좌표), decodeMs, side, roi(ROI로 디코딩했는지) }
+    async function decode(source, width, height) {
+      const start = performance.now();
+      const p = plan(width, height);
+      const usedRoi = Boolean(roi);
+      // 크기가 바뀔 때만 캔버스를 다시 만든다.
+      if (canvas.width !== p.dw || canvas.height !== p.dh) {
+        canvas.width = p.dw;
+        canvas.height = p.dh;
+      }
+      ctx.drawImage(source, p.sx, p.sy, p.sw, p.sh, 0, 0, p.dw, p.dh);
+      const found = await detect(p);
+      const decodeMs = performance.now() - start;
+
+      let box = null;
+      if (found) {
+        box = {
+          x: p.sx + found.box.x / p.scale,
+          y: p.sy + found.box.y / p.scale,
+          width: found.box.width / p.scale,
+          height: found.box.height / p.scale,
+        };
+        roi = box;
+        roiMisses = 0;
+      } else if (roi && ++roiMisses >= ROI_MISS_LIMIT) {
+        roi = null;
+      }
+
+      const usedSide = side;
+      if (decodeMs > budgetMs) {
+        side = Math.max(minSide, Math.round(side * 0.8));
+      } else if (!found && !usedRoi && decodeMs < budgetMs / 2) {
+        side = Math.min(maxSide, Math.round(side * 1.25));
+      }
+
+      return {
+        data: found ? found.data : null,
+        box,
+        decodeMs,
+        side: usedSide,
+        roi: usedRoi,
+      };
+    }
+
+    return { decode, engine: detector ? "BarcodeDetector" : "jsQR" };
+  }
+
+  function canUseWorker() {
+    return (
+      typeof Worker !== "undefined" &&
+      typeof OffscreenCanvas !== "undefined" &&
+      typeof createImageBitmap === "function"
+    );
+  }
+
+  // options.workerUrl : scanworker.js 경로
+  // options.canvas    : 메인 스레드에서 디코딩할 때 쓸 캔버스 (없으면 새로 만든다)
+  // options.useWorker : false 면 워커를 쓰지 않는다 (비교 측정용)
+  // options.decoder   : createFrameDecoder 옵션 (side / minSide / maxSide / budgetMs / native)
+  function createScanPipeline({
+    workerUrl = "/public/scanworker.js",
+    canvas = null,
+    useWorker = true,
+    decoder: decoderOptions = {},
+  } = {}) {
+    let decodeFrame = null; // (video) => Promise<결과>
+    let worker = null;
+    let busy = false;
+    const info = { where: "main", engine: null };
+
+    async function startInline() {
+      const decoder = await createFrameDecoder({
+        ...decoderOptions,
+        createCanvas: () => canvas || document.createElement("canvas"),
+        loadJsQR: () => self.jsQR,
+      });
+      info.where = "main";
+      info.engine = decoder.engine;
+      decodeFrame = (video) =>
+        decoder.decode(video, video.videoWidth, video.videoHeight);
+    }
+
+    function startWorker() {
+      return new Promise((resolve, reject) => {
+        worker = new Worker(workerUrl);
+        const pending = new Map(); // 프레임 id → resolve
+        let nextId = 0;
+        const timer = setTimeout(
+          () => reject(new Error("worker_timeout")),
+          WORKER_READY_TIMEOUT_MS
+        );
+        worker.onerror = (event) => {
+          clearTimeout(timer);
+          reject(new Error(event.message || "worker_error"));
+          // 준비된 뒤 죽었으면 기다리던 프레임을 놓아 준다 (스캔 루프가 멈추지 않도록)
+          for (const done of pending.values()) done(null);
+          pending.clear();
+        };
+        worker.onmessage = ({ data: msg }) => {
+          if (msg.type === "ready") {
+            clearTimeout(timer);
+            info.where = "worker";
+            info.engine = msg.engine;
+            decodeFrame = async (video) => {
+              const bitmap = await createImageBitmap(video);
+              const id = nextId++;
+              return new Promise((done) => {
+                pending.set(id, done);
+                worker.postMessage({ type: "frame", id, bitmap }, [bitmap]);
+              });
+            };
+            resolve();
+          } else if (msg.type === "error") {
+            clearTimeout(timer);
+            reject(new Error(msg.message));
+          } else if (msg.type === "result") {
+            const done = pending.get(msg.id);
+            pending.delete(msg.id);
+            if (done) done(msg.result);
+          }
+        };
+        worker.postMessage({
+          type: "init",
+          jsqrUrl: JSQR_URL,
+          options: decoderOptions,
+        });
+      });
+    }
+
+    const ready = (
+      useWorker && canUseWorker()
+        ? startWorker().catch((err) => {
+            console.warn(
+              "[QrDecode] 워커를 쓸 수 없어 메인 스레드에서 디코딩합니다:",
+              err
+            );
+            close();
+            return startInline();
+          })
+        : startInline()
+    ).then(() => ({ ...info }));
+
+    // 비어 있을 때만 프레임을 받는다 (디코딩 중이면 null)
+    async function decode(video) {
+      if (busy || !decodeFrame) return null;
+      busy = true;
+      try {
+        return await decodeFrame(video);
+      } finally {
+        busy = false;
+      }
+    }
+
+    function close() {
+      if (worker) worker.terminate();
+      worker = null;
+    }
+
+    return {
+      ready,
+      decode,
+      close,
+      info: () => ({ ...info }),
+      get busy() {
+        return busy || !decodeFrame;
+      },
+    };
+  }
+
+  return { JSQR_URL, createFrameDecoder, createScanPipeline, canUseWorker };
+});
@@ -0,0 +1,265 @@
+// qrvisual.js
+// QR 화면 릴레이 방지 표시 모드 (브라우저 / Node 공용)
+// - 브라우저: <script src="/public/qrvisual.js"> 로 불러오면 window.AttendQrVisual 로 사용
+// - /generator 가 프레임마다 QR 모듈 행렬을 직접 그리고(drawFrame), /attend 가 분할 조각을 다시 합친다.
+// - 강의실에서 휴대폰 카메라로 찍으면 그대로 읽히지만, 화면 공유 / 영상 통화로 다시 송출하면
+//   프레임마다 바뀌는 잡음과 위치 때문에 압축이 크게 깨지고, 분할 프레임은 프레임이 빠지면 합칠 수 없다.
+//
+// 모드
+//   - "plain"  : 흰 배경 / 검은 모듈 (ECC M)
+//   - "noise"  : 모듈을 반 모듈 크기 알갱이로 나눠 알갱이마다 밝기 잡음 (어두운 모듈 0~70, 밝은 모듈 185~255)
+//   - "moving" : 잡음 + 코드를 화면의 80% 크기로 줄여 프레임마다 다른 위치에 그린다
+//   - "partial": 잡음 + 프레임마다 다른 데이터 영역 띠(코드 폭의 8%)를 무작위 모듈로 가린다 (ECC H 로 복원)
+//   - "split"  : 잡음 + 토큰을 XOR 조각 SPLIT_SHARES 개로 나눠 프레임마다 번갈아 표시.
+//                조각 하나만으로는 토큰을 알 수 없고, 모든 조각을 찍어야 합칠 수 있다.
+//
+// 분할 조각 QR 텍스트: "QS.<그룹 id 8자리 hex>.<조각 번호>.<조각 수>.<base64 조각>"
+// ('.' 은 base64 에 없는 문자라 토큰 형식(lib/token.js isTokenFormat)과 겹치지 않는다)
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.AttendQrVisual = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  const MODES = ["plain", "noise", "moving", "partial", "split"];
+  const SPLIT_SHARES = 2;
+  const QUIET_MODULES = 4; // QR 표준 여백 (모듈 수)
+  const NOISE_AMPLITUDE = 70;
+  const MOVING_SCALE = 0.8;
+  const PARTIAL_FRACTION = 0.08;
+  const SHARE_RE = /^QS\.([0-9a-f]{8})\.(\d)\.(\d)\.([A-Za-z0-9+/]+=*)$/;
+
+  function isMode(mode) {
+    return MODES.includes(mode);
+  }
+
+  // 모드별 오류 정정 수준 (qrcode.js CorrectLevel 키)
+  function eccFor(mode) {
+    return mode === "partial" ? "H" : "M";
+  }
+
+  // 적응형 송출(public/adaptive.js)이 낮출 수 있는 ECC 하한 (가린 띠는 ECC H 로만 복원된다)
+  function minEccFor(mode) {
+    return mode === "partial" ? "H" : "L";
+  }
+
+  // --- 분할 프레임 --- //
+
+  function bytesToBase64(bytes) {
+    let binary = "";
+    for (let i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
+    return btoa(binary);
+  }
+
+  function base64ToBytes(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return bytes;
+  }
+
+  function randomBytes(length) {
+    const bytes = new Uint8Array(length);
+    crypto.getRandomValues(bytes);
+    return bytes;
+  }
+
+  // 토큰(base64) → 조각 QR 텍스트 count 개
+  // - 앞의 count-1 개는 무작위 바이트, 마지막은 토큰과 그 조각들을 모두 XOR 한 값
+  function splitToken(cipher, count = SPLIT_SHARES) {
+    const bytes = base64ToBytes(cipher);
+    const group = Array.from(randomBytes(4), (b) =>
+      b.toString(16).padStart(2, "0")
+    ).join("");
+    const last = bytes.slice();
+    const shares = [];
+    for (let i = 0; i < count - 1; i++) {
+      const share = randomBytes(bytes.length);
+      for (let j = 0; j < last.length; j++) last[j] ^= share[j];
+      shares.push(share);
+    }
+    shares.push(last);
+    return shares.map(
+      (share, i) => `QS.${group}.${i}.${count}.${bytesToBase64(share)}`
+    );
+  }
+
+  function isSplitShare(text) {
+    return SHARE_RE.test(text);
+  }
+
+  function parseShare(text) {
+    const match = SHARE_RE.exec(text);
+    if (!match) return null;
+    const index = Number(match[2]);
+    const count = Number(match[3]);
+    if (count < 2 || index >= count) return null;
+    try {
+      return { group: match[1], index, count, bytes: base64ToBytes(match[4]) };
+    } catch {
+      return null;
+    }
+  }
+
+  // 스캐너 쪽 조각 모으기
+  // - add(text, meta, now): 조각을 넣고, 그룹의 조각이 다 모이면 { cipher, meta } 를 돌려준다.
+  //   meta 는 그 그룹의 첫 조각을 찍었을 때 넘긴 값 (캡처 시각은 첫 조각 기준)
+  // - maxAgeMs 가 지나도록 다 모이지 않은 그룹은 버린다.
+  function createSplitCollector({ maxAgeMs = 2000 } = {}) {
+    const groups = new Map(); // 그룹 id → { count, shares: Map(번호 → bytes), meta, firstAt }
+
+    function prune(now) {
+      for (const [group, entry] of groups) {
+        if (now - entry.firstAt > maxAgeMs) groups.delete(group);
+      }
+    }
+
+    function add(text, meta, now) {
+      const share = parseShare(text);
+      if (!share) return null;
+      prune(now);
+      let entry = groups.get(share.group);
+      if (!entry) {
+        entry = { count: share.count, shares: new Map(), meta, firstAt: now };
+        groups.set(share.group, entry);
+      }
+      if (entry.count !== share.count) return null;
+      entry.shares.set(share.index, share.bytes);
+      if (entry.shares.size < entry.count) return null;
+
+      groups.delete(share.group);
+      const parts = [...entry.shares.values()];
+      const joined = parts[0].slice();
+      for (const part of parts.slice(1)) {
+        if (part.length !== joined.length) return null;
+        for (let j = 0; j < joined.length; j++) joined[j] ^= part[j];
+      }
+      return { cipher: bytesToBase64(joined), meta: entry.meta };
+    }
+
+    return { add, clear: () => groups.clear() };
+  }
+
+  // --- 그리기 --- //
+
+  // 정렬 패턴 중심 좌표 (QR 표준 배치 규칙, 버전 2 이상)
+  function alignmentCenters(size) {
+    const version = (size - 17) / 4;
+    if (version < 2) return [];
+    const count = Math.floor(version / 7) + 2;
+    const step =
+      version === 32 ? 26 : Math.ceil((size - 13) / (count * 2 - 2)) * 2;
+    const centers = [6];
+    for (let i = count - 2; i >= 0; i--) centers.push(size - 7 - i * step);
+    return centers;
+  }
+
+  // 가리면 안 되는 기능 패턴 영역 (위치 찾기 / 구분자 / 형식 정보 / 타이밍 / 버전 정보 / 정렬)
+  function isFunctionArea(r, c, size, centers) {
+    if (r < 9 && c < 9) return true;
+    if (r < 9 && c >= size - 8) return true;
+    if (r >= size - 8 && c < 9) return true;
+    if (r === 6 || c === 6) return true;
+    if (size >= 45) {
+      // 버전 7 이상
+      if (r < 6 && c >= size - 11) return true;
+      if (c < 6 && r >= size - 11) return true;
+    }
+    return centers.some(
+      (cr) => Math.abs(r - cr) <= 2 && centers.some((cc) => Math.abs(c - cc) <= 2)
+    );
+  }
+
+  // 모듈 행렬 (1 = 어두움). partial 모드면 무작위 띠 하나를 무작위 모듈로 바꾼다.
+  function moduleMatrix(code, mode, random) {
+    const { size } = code;
+    const matrix = new Uint8Array(size * size);
+    for (let r = 0; r < size; r++) {
+      for (let c = 0; c < size; c++) {
+        matrix[r * size + c] = code.isDark(r, c) ? 1 : 0;
+      }
+    }
+    if (mode === "partial") {
+      const band = Math.max(1, Math.round(size * PARTIAL_FRACTION));
+      const from = Math.floor(random() * (size - band + 1));
+      const vertical = random() < 0.5;
+      const centers = alignmentCenters(size);
+      for (let i = from; i < from + band; i++) {
+        for (let j = 0; j < size; j++) {
+          const r = vertical ? j : i;
+          const c = vertical ? i : j;
+          if (!isFunctionArea(r, c, size, centers)) {
+            matrix[r * size + c] = random() < 0.5 ? 1 : 0;
+          }
+        }
+      }
+    }
+    return matrix;
+  }
+
+  // canvas 에 QR 한 프레임을 그린다.
+  // - code: { size, isDark(row, col) } (qrcode.js 모델 등)
+  // - 모듈 크기는 정수 픽셀로 맞추고, 여백(QUIET_MODULES) 바깥도 밝은 색으로 채운다.
+  function drawFrame(canvas, code, { mode = "plain", random = Math.random } = {}) {
+    const { width, height } = canvas;
+    const span = code.size + QUIET_MODULES * 2;
+    const scale = mode === "moving" ? MOVING_SCALE : 1;
+    const cell = Math.max(1, Math.floor((Math.min(width, height) * scale) / span));
+    const codePx = cell * span;
+    const place = (room) =>
+      mode === "moving"
+        ? Math.floor(random() * (room + 1))
+        : Math.floor(room / 2);
+    const ox = place(width - codePx) + QUIET_MODULES * cell;
+    const oy = place(height - codePx) + QUIET_MODULES * cell;
+    const matrix = moduleMatrix(code, mode, random);
+
+    // 잡음 알갱이 (반 모듈 크기, 캔버스 전체)
+    const noisy = mode !== "plain";
+    const grain = Math.max(1, cell >> 1);
+    const grainCols = Math.ceil(width / grain);
+    const noise = new Uint8Array(grainCols * Math.ceil(height / grain));
+    if (noisy) {
+      for (let i = 0; i < noise.length; i++) {
+        noise[i] = Math.floor(random() * NOISE_AMPLITUDE);
+      }
+    }
+
+    const ctx = canvas.getContext("2d");
+    const image = ctx.createImageData(width, height);
+    const data = image.data;
+    for (let y = 0; y < height; y++) {
+      const r = Math.floor((y - oy) / cell);
+      const grainRow = Math.floor(y / grain) * grainCols;
+      for (let x = 0; x < width; x++) {
+        const c = Math.floor((x - ox) / cell);
+        const dark =
+          r >= 0 && r < code.size && c >= 0 && c < code.size
+            ? matrix[r * code.size + c] === 1
+            : false;
+        const n = noise[grainRow + Math.floor(x / grain)];
+        const v = dark ? n : 255 - n;
+        const i = (y * width + x) * 4;
+        data[i] = v;
+        data[i + 1] = v;
+        data[i + 2] = v;
+        data[i + 3] = 255;
+      }
+    }
+    ctx.putImageData(image, 0, 0);
+  }
+
+  return {
+    MODES,
+    SPLIT_SHARES,
+    isMode,
+    eccFor,
+    minEccFor,
+    splitToken,
+    isSplitShare,
+    createSplitCollector,
+    drawFrame,
+  };
+});
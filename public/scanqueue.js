@@ -0,0 +1,121 @@
+// scanqueue.js
+// 전송하지 못한 스캔을 보관하는 대기열 (IndexedDB)
+// - 브라우저: <script src="/public/scanqueue.js"> 로 불러오면 window.AttendScanQueue 로 사용
+// - 강의실 Wi-Fi가 끊겨 POST /api/qr 가 실패한 스캔을 캡처 시각과 함께 저장해 두었다가
+//   /attend 가 POST /api/qr/batch 로 다시 보낸다. 페이지를 새로고침해도 남아 있다.
+// - IndexedDB를 쓸 수 없는 환경(사생활 보호 모드 등)에서는 메모리에만 보관한다.
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.AttendScanQueue = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  // IDBRequest → Promise
+  function promisify(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  function openDatabase(dbName, storeName) {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(dbName, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(storeName, {
+          keyPath: "id",
+          autoIncrement: true,
+        });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // 메모리 대체 구현 (IndexedDB와 같은 인터페이스)
+  function createMemoryBackend() {
+    const items = new Map();
+    let nextId = 1;
+    return {
+      async add(item) {
+        const id = nextId++;
+        items.set(id, { ...item, id });
+        return id;
+      },
+      async list() {
+        return Array.from(items.values());
+      },
+      async remove(ids) {
+        for (const id of ids) items.delete(id);
+      },
+    };
+  }
+
+  function createIndexedDbBackend(dbPromise, storeName) {
+    async function run(mode, fn) {
+      const db = await dbPromise;
+      const tx = db.transaction(storeName, mode);
+      const done = new Promise((resolve, reject) => {
+        tx.oncomplete = resolve;
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+      });
+      // 요청 결과와 트랜잭션 완료를 함께 기다린다 (둘 중 하나라도 실패하면 실패)
+      const [result] = await Promise.all([fn(tx.objectStore(storeName)), done]);
+      return result;
+    }
+    return {
+      add(item) {
+        return run("readwrite", (store) => promisify(store.add(item)));
+      },
+      list() {
+        return run("readonly", (store) => promisify(store.getAll()));
+      },
+      remove(ids) {
+        return run("readwrite", (store) => {
+          for (const id of ids) store.delete(id);
+        });
+      },
+    };
+  }
+
+  // options.dbName    : IndexedDB 데이터베이스 이름
+  // options.storeName : object store 이름
+  // 반환: { add(item) → id, list() → 추가된 순서의 [{ id, ...item }], remove(ids), count() }
+  function createScanQueue({
+    dbName = "qrAttend",
+    storeName = "scanQueue",
+  } = {}) {
+    let backend;
+    if (typeof indexedDB === "undefined") {
+      backend = createMemoryBackend();
+    } else {
+      backend = createIndexedDbBackend(
+        openDatabase(dbName, storeName),
+        storeName
+      );
+    }
+
+    // IndexedDB 작업이 실패하면(열기 거부 등) 이후로는 메모리에 보관한다.
+    async function call(method, ...args) {
+      try {
+        return await backend[method](...args);
+      } catch (err) {
+        console.warn("[ScanQueue] IndexedDB 사용 불가, 메모리에 보관", err);
+        backend = createMemoryBackend();
+        return backend[method](...args);
+      }
+    }
+
+    return {
+      add: (item) => call("add", item),
+      list: () => call("list").then((items) => items.sort((a, b) => a.id - b.id)),
+      remove: (ids) => call("remove", ids),
+      count: () => call("list").then((items) => items.length),
+    };
+  }
+
+  return { createScanQueue };
+});
@@ -0,0 +1,43 @@
+// scanworker.js
+// QR 디코딩 워커 (public/qrdecode.js createScanPipeline 이 만든다)
+// - 메인 스레드가 보낸 카메라 프레임(ImageBitmap)을 OffscreenCanvas 로 잘라 / 줄여 디코딩한다.
+// - 메시지
+//   - { type: "init", jsqrUrl, options } → { type: "ready", engine } 또는 { type: "error", message }
+//   - { type: "frame", id, bitmap }      → { type: "result", id, result }
+
+importScripts("qrdecode.js");
+
+let decoder = null;
+
+self.onmessage = async ({ data: msg }) => {
+  if (msg.type === "init") {
+    try {
+      decoder = await AttendQrDecode.createFrameDecoder({
+        ...msg.options,
+        createCanvas: (width, height) => new OffscreenCanvas(width, height),
+        // 네이티브 인식기가 없을 때만 jsQR 을 받아 온다.
+        loadJsQR: () => {
+          importScripts(msg.jsqrUrl);
+          return self.jsQR;
+        },
+      });
+      self.postMessage({ type: "ready", engine: decoder.engine });
+    } catch (err) {
+      self.postMessage({ type: "error", message: err.message || String(err) });
+    }
+    return;
+  }
+
+  if (msg.type === "frame") {
+    const { id, bitmap } = msg;
+    let result = null;
+    try {
+      result = await decoder.decode(bitmap, bitmap.width, bitmap.height);
+    } catch (err) {
+      console.warn("[ScanWorker] 디코딩 실패:", err);
+    } finally {
+      bitmap.close();
+    }
+    self.postMessage({ type: "result", id, result });
+  }
+};
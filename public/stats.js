@@ -0,0 +1,359 @@
+// stats.js
+// 학생별 지연(delta) 통계와 의심률 계산 (브라우저 / Node 공용)
+// - 브라우저: <script src="/public/stats.js"> 로 불러오면 window.AttendStats 로 사용
+// - Node   : require("./public/stats") (출석부 내보내기 등 서버 측 계산)
+// - /generator 표와 서버 내보내기 결과가 항상 같은 값이 되도록 계산은 여기에만 둔다.
+// - 의심률 계산은 교체 가능한 모델(SCORING_MODELS)로 나뉘어 있고, 기준값은 강의별로 저장한다.
+//     모델 = { label, params: [{ key, label, default }], prepare(학생별 평균[], params, { basis }), score(평균, 분포, params, 허용오차) }
+//     basis: 지연 기준 ("raw" = 토큰 생성 → 서버 수신, "capture" = 토큰 생성 → 카메라 캡처)
+//     score() 는 { rate: 0~100, reason: 교수/학생에게 보여줄 판정 근거 (의심 없으면 null) }
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.AttendStats = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  // 통계 기반 이상치 탐지: 평균과 표준편차를 이용하여 이상치 판정
+  function calculateMeanStd(values) {
+    if (values.length === 0) return { mean: 0, std: 0 };
+    const mean = values.reduce((a, b) => a + b, 0) / values.length;
+    const variance = values.reduce((sum, val) => sum + Math.pow(val - mean, 2), 0) / values.length;
+    const std = Math.sqrt(variance);
+    return { mean, std };
+  }
+
+  // 배열 a에서 k번째(0부터)로 작은 값 (Hoare quickselect, a의 순서를 바꾼다)
+  function selectKth(a, k) {
+    let lo = 0;
+    let hi = a.length - 1;
+    while (lo < hi) {
+      const pivot = a[(lo + hi) >> 1];
+      let i = lo;
+      let j = hi;
+      while (i <= j) {
+        while (a[i] < pivot) i++;
+        while (a[j] > pivot) j--;
+        if (i <= j) {
+          const t = a[i];
+          a[i] = a[j];
+          a[j] = t;
+          i++;
+          j--;
+        }
+      }
+      if (k <= j) hi = j;
+      else if (k >= i) lo = i;
+      else break;
+    }
+    return a[k];
+  }
+
+  // 전체 정렬 없이 평균 O(n)으로 중앙값 계산 (학생 수백 명 × 초당 여러 번 호출되므로)
+  function median(values) {
+    if (values.length === 0) return 0;
+    const copy = Array.from(values);
+    const mid = Math.floor(copy.length / 2);
+    const upper = selectKth(copy, mid);
+    if (copy.length % 2 === 1) return upper;
+    // selectKth 후 mid 앞쪽에는 upper 이하의 값만 남아 있다.
+    let lower = -Infinity;
+    for (let i = 0; i < mid; i++) if (copy[i] > lower) lower = copy[i];
+    return (lower + upper) / 2;
+  }
+
+  // 이상치를 과감하게 제외하고 평균 계산
+  // - 전체 분포의 "중심"은 평균이 아니라 median 기반으로 잡는다.
+  // - median과 MAD(Median Absolute Deviation)를 이용해 중심 클러스터만 남기고 평균/표준편차 계산.
+  // - thresholdK: median에서 k * (MAD 기반 표준편차) 넘게 떨어진 값은 제외
+  function calculateRobustMean(studentAverages, thresholdK = 1.5) {
+    if (studentAverages.length === 0) return { mean: 0, std: 0, included: [] };
+
+    // 1) 중앙값 기준으로 1차 중심 추정
+    const med = median(studentAverages);
+    const absDeviations = studentAverages.map(v => Math.abs(v - med));
+    const mad = median(absDeviations); // Median Absolute Deviation
+
+    if (mad === 0) {
+      // 모두 거의 같은 값인 경우
+      const { mean, std } = calculateMeanStd(studentAverages);
+      return { mean, std, included: [...studentAverages] };
+    }
+
+    // MAD로부터 표준편차 근사 (정규분포 가정 하에서)
+    const approxStd = 1.4826 * mad;
+
+    // 2) median 기준으로 k * approxStd 이내만 "정상 클러스터"로 취급
+    //    → 멀리 떨어진 애들은 처음부터 평균 계산에 아예 넣지 않는다. (기본 1.5: 조금만 벗어나도 제외)
+    const included = studentAverages.filter(v => Math.abs(v - med) <= thresholdK * approxStd);
+
+    if (included.length === 0) {
+      // 모두 제외돼 버리면, 원본 전체로 fallback
+      const { mean, std } = calculateMeanStd(studentAverages);
+      return { mean, std, included: [...studentAverages] };
+    }
+
+    const { mean, std } = calculateMeanStd(included);
+    return { mean, std, included };
+  }
+
+  // 백분위수 (0~1, 선형 보간)
+  function quantile(values, q) {
+    if (values.length === 0) return 0;
+    const sorted = Array.from(values).sort((a, b) => a - b);
+    const pos = (sorted.length - 1) * q;
+    const lo = Math.floor(pos);
+    const hi = Math.ceil(pos);
+    return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+  }
+
+  const ZSCORE_DEFAULTS = { deadZoneMs: 50, madK: 1.5, z1: 1, z2: 2, z3: 3 };
+
+  // 통계 기반 의심률 계산
+  // 학생의 평균이 전체 평균에서 얼마나 벗어났는지 측정
+  // - toleranceMs: 교수 탭 시계 동기화의 불확실성(ms). 이만큼은 시계 오차로 보고 데드존을 넓힌다.
+  // - params: Z-score 모델 기준값 (ZSCORE_DEFAULTS)
+  function suspectRateFor(
+    studentAvg,
+    globalMean,
+    globalStd,
+    toleranceMs = 0,
+    params = ZSCORE_DEFAULTS
+  ) {
+    if (!(globalStd > 0)) return 0;
+    const diff = studentAvg - globalMean;
+    const absDiff = Math.abs(diff);
+
+    // 1) 평균으로부터 ±deadZoneMs (+ 시계 불확실성) 이내는 의심하지 않음 (데드존)
+    if (absDiff <= params.deadZoneMs + toleranceMs) return 0;
+
+    const zScore = Math.abs(diff / globalStd);
+    const { z1, z2, z3 } = params;
+
+    // 2) Z-score 구간별 의심률 (기본값 기준)
+    // - 0~1σ: 0% (데드존 + 거의 정상)
+    // - 1~2σ: 30~70%
+    // - 2~3σ: 70~95%
+    // - 3σ 이상: 95~100%
+    if (zScore < z1) return 0;
+    if (zScore < z2) return Math.round(30 + ((zScore - z1) / (z2 - z1)) * 40);
+    if (zScore < z3) return Math.round(70 + ((zScore - z2) / (z3 - z2)) * 25);
+    return Math.round(95 + Math.min((zScore - z3) * 5, 5));
+  }
+
+  function fmt(ms) {
+    return `${Math.round(ms)}ms`;
+  }
+
+  // 강의실 교정(/calibrate)으로 잰 정상 지연 기준 (lib/calibration.js 가 값을 정한다)
+  // - 세션의 분포 대신 교정 때 측정한 중심(baselineMs, 캡처 지연 기준)과 편차(spreadMs)로 Z-score 를 계산한다.
+  //   그래서 강의실 전체가 화면 중계로 늦어져도 모두의 지연이 함께 의심된다.
+  // - 전체 지연 기준이면 교정 때 잰 학생 기기 → 서버 구간(uplinkMs)을 중심에 더한다.
+  const CALIBRATED_DEFAULTS = {
+    baselineMs: 300,
+    uplinkMs: 100,
+    spreadMs: 100,
+    deadZoneMs: 50,
+    z1: ZSCORE_DEFAULTS.z1,
+    z2: ZSCORE_DEFAULTS.z2,
+    z3: ZSCORE_DEFAULTS.z3,
+  };
+
+  const SCORING_MODELS = {
+    // 기존 방식: MAD로 이상치를 뺀 중심 클러스터의 평균/표준편차 기준 Z-score
+    zscore: {
+      label: "Z-score (MAD로 이상치 제외)",
+      params: [
+        { key: "deadZoneMs", label: "데드존 (ms)", default: ZSCORE_DEFAULTS.deadZoneMs },
+        { key: "madK", label: "중심 클러스터 MAD 배수", default: ZSCORE_DEFAULTS.madK },
+        { key: "z1", label: "의심 시작 (σ)", default: ZSCORE_DEFAULTS.z1 },
+        { key: "z2", label: "70% 기준 (σ)", default: ZSCORE_DEFAULTS.z2 },
+        { key: "z3", label: "95% 기준 (σ)", default: ZSCORE_DEFAULTS.z3 },
+      ],
+      validate: (p) => p.madK > 0 && p.z1 < p.z2 && p.z2 < p.z3,
+      prepare: (averages, p) => calculateRobustMean(averages, p.madK),
+      score(avg, dist, p, toleranceMs) {
+        const rate = suspectRateFor(avg, dist.mean, dist.std, toleranceMs, p);
+        if (rate === 0) return { rate, reason: null };
+        const diff = avg - dist.mean;
+        const z = Math.abs(diff) / dist.std;
+        return {
+          rate,
+          reason:
+            `평균 지연 ${fmt(avg)}: 중심 ${fmt(dist.mean)}(σ=${fmt(dist.std)}) 대비 ` +
+            `${diff > 0 ? "+" : "-"}${fmt(Math.abs(diff))} (${z.toFixed(1)}σ, ` +
+            `의심 시작 ${p.z1}σ, 데드존 ±${fmt(p.deadZoneMs + toleranceMs)})`,
+        };
+      },
+    },
+
+    // 백분위 / IQR: 분포 모양을 가정하지 않고 사분위 범위 밖(Tukey fence)만 의심
+    iqr: {
+      label: "백분위 / IQR (Tukey fence)",
+      params: [
+        { key: "deadZoneMs", label: "데드존 (ms)", default: 50 },
+        { key: "lowerPct", label: "하위 백분위 (%)", default: 25 },
+        { key: "upperPct", label: "상위 백분위 (%)", default: 75 },
+        { key: "k", label: "범위 배수 k", default: 1.5 },
+      ],
+      validate: (p) =>
+        p.lowerPct < p.upperPct && p.upperPct <= 100 && p.k > 0,
+      prepare(averages, p) {
+        const low = quantile(averages, p.lowerPct / 100);
+        const high = quantile(averages, p.upperPct / 100);
+        return { low, high, median: median(averages), spread: high - low };
+      },
+      score(avg, dist, p, toleranceMs) {
+        if (Math.abs(avg - dist.median) <= p.deadZoneMs + toleranceMs) {
+          return { rate: 0, reason: null };
+        }
+        const margin = p.k * dist.spread + toleranceMs;
+        const lowFence = dist.low - margin;
+        const highFence = dist.high + margin;
+        if (avg >= lowFence && avg <= highFence) return { rate: 0, reason: null };
+        // fence 밖으로 나간 거리를 범위(spread) 단위로: 0 → 50%, 1 범위 이상 → 100%
+        const outside = avg > highFence ? avg - highFence : lowFence - avg;
+        const rate = Math.round(50 + Math.min(outside / Math.max(dist.spread, 1), 1) * 50);
+        return {
+          rate,
+          reason:
+            `평균 지연 ${fmt(avg)}: 정상 범위 ${fmt(lowFence)}~${fmt(highFence)} ` +
+            `(${p.lowerPct}~${p.upperPct} 백분위 ${fmt(dist.low)}~${fmt(dist.high)}, k=${p.k}) 밖`,
+        };
+      },
+    },
+
+    // 강의실 교정 기준: 세션 분포 대신 교정 때 잰 중심 / 편차로 Z-score 를 계산
+    calibrated: {
+      label: "강의실 교정 기준",
+      params: [
+        { key: "baselineMs", label: "기준 캡처 지연 (ms)", default: CALIBRATED_DEFAULTS.baselineMs },
+        { key: "uplinkMs", label: "기기 → 서버 (ms)", default: CALIBRATED_DEFAULTS.uplinkMs },
+        { key: "spreadMs", label: "정상 편차 σ (ms)", default: CALIBRATED_DEFAULTS.spreadMs },
+        { key: "deadZoneMs", label: "데드존 (ms)", default: CALIBRATED_DEFAULTS.deadZoneMs },
+        { key: "z1", label: "의심 시작 (σ)", default: CALIBRATED_DEFAULTS.z1 },
+        { key: "z2", label: "70% 기준 (σ)", default: CALIBRATED_DEFAULTS.z2 },
+        { key: "z3", label: "95% 기준 (σ)", default: CALIBRATED_DEFAULTS.z3 },
+      ],
+      validate: (p) => p.spreadMs > 0 && p.z1 < p.z2 && p.z2 < p.z3,
+      prepare: (averages, p, { basis = "raw" } = {}) => ({
+        mean: p.baselineMs + (basis === "capture" ? 0 : p.uplinkMs),
+        std: p.spreadMs,
+      }),
+      score(avg, dist, p, toleranceMs) {
+        const rate = suspectRateFor(avg, dist.mean, dist.std, toleranceMs, p);
+        if (rate === 0) return { rate, reason: null };
+        const diff = avg - dist.mean;
+        return {
+          rate,
+          reason:
+            `평균 지연 ${fmt(avg)}: 강의실 교정 기준 ${fmt(dist.mean)}(σ=${fmt(dist.std)}) 대비 ` +
+            `${diff > 0 ? "+" : "-"}${fmt(Math.abs(diff))} (${(Math.abs(diff) / dist.std).toFixed(1)}σ, ` +
+            `의심 시작 ${p.z1}σ, 데드존 ±${fmt(p.deadZoneMs + toleranceMs)})`,
+        };
+      },
+    },
+  };
+
+  const DEFAULT_SCORING = {
+    model: "zscore",
+    params: { ...ZSCORE_DEFAULTS },
+  };
+
+  // { model, params } → 기본값을 채운 설정. 모르는 모델이거나 값이 맞지 않으면 null
+  function normalizeScoring(config) {
+    const modelName = (config && config.model) || DEFAULT_SCORING.model;
+    const model = SCORING_MODELS[modelName];
+    if (!model) return null;
+    const input = (config && config.params) || {};
+    const params = {};
+    for (const { key, default: def } of model.params) {
+      const value = input[key] === undefined ? def : Number(input[key]);
+      if (!Number.isFinite(value) || value < 0) return null;
+      params[key] = value;
+    }
+    if (!model.validate(params)) return null;
+    return { model: modelName, params };
+  }
+
+  // 학번별 누적 집계 { count, sum, min, max } — delta 배열을 보관하지 않고 스캔마다 O(1)로 갱신
+  function createDeltaAggregate() {
+    return { count: 0, sum: 0, min: Infinity, max: -Infinity };
+  }
+
+  function addDelta(agg, delta) {
+    agg.count += 1;
+    agg.sum += delta;
+    if (delta < agg.min) agg.min = delta;
+    if (delta > agg.max) agg.max = delta;
+    return agg;
+  }
+
+  // 학번별 누적 집계 → 학번별 { count, avgDelta, minDelta, maxDelta, suspectRate, suspectReason }
+  // - aggregatesByStudent: Map<studentId, { count, sum, min, max }>
+  // - 학생 수 N에 대해 O(N): 학생별 평균의 강건한 중심/편차만 다시 계산한다.
+  // - options.toleranceMs: 시계 동기화 불확실성 (suspectRateFor 참고)
+  // - options.scoring    : { model, params } (강의별 설정, 없으면 DEFAULT_SCORING)
+  // - options.basis      : 집계한 지연의 기준 ("raw" | "capture", 교정 기준 모델이 중심을 맞추는 데 쓴다)
+  function summarizeAggregates(
+    aggregatesByStudent,
+    { toleranceMs = 0, scoring = DEFAULT_SCORING, basis = "raw" } = {}
+  ) {
+    const config = normalizeScoring(scoring) || DEFAULT_SCORING;
+    const model = SCORING_MODELS[config.model];
+    const studentAvgMap = new Map(); // studentId -> 평균 지연시간
+    for (const [studentId, agg] of aggregatesByStudent.entries()) {
+      if (agg.count === 0) continue;
+      studentAvgMap.set(studentId, agg.sum / agg.count);
+    }
+
+    // 모델별 분포 요약 (Z-score: 이상치를 제외한 강건한 평균 / IQR: 백분위 / 교정: 측정한 기준)
+    const dist = model.prepare(Array.from(studentAvgMap.values()), config.params, {
+      basis,
+    });
+
+    const result = new Map();
+    for (const [studentId, avg] of studentAvgMap.entries()) {
+      const agg = aggregatesByStudent.get(studentId);
+      const { rate, reason } = model.score(avg, dist, config.params, toleranceMs);
+      result.set(studentId, {
+        count: agg.count,
+        avgDelta: Math.round(avg),
+        minDelta: agg.min,
+        maxDelta: agg.max,
+        suspectRate: rate,
+        suspectReason: reason,
+      });
+    }
+    return result;
+  }
+
+  // 학번별 delta 배열 → 학번별 { count, avgDelta, minDelta, maxDelta, suspectRate }
+  // - deltasByStudent: Map<studentId, number[]> (서버 내보내기처럼 한 번에 계산할 때)
+  function summarizeStudents(deltasByStudent, options) {
+    const aggregates = new Map();
+    for (const [studentId, deltas] of deltasByStudent.entries()) {
+      aggregates.set(
+        studentId,
+        deltas.reduce((agg, d) => addDelta(agg, d), createDeltaAggregate())
+      );
+    }
+    return summarizeAggregates(aggregates, options);
+  }
+
+  return {
+    calculateMeanStd,
+    median,
+    calculateRobustMean,
+    quantile,
+    suspectRateFor,
+    SCORING_MODELS,
+    DEFAULT_SCORING,
+    normalizeScoring,
+    createDeltaAggregate,
+    addDelta,
+    summarizeAggregates,
+    summarizeStudents,
+  };
+});
@@ -0,0 +1,130 @@
+// timesync.js
+// 서버 시계 동기화 (NTP 방식 샘플링 + drift 추적)
+// - 브라우저: <script src="/public/timesync.js"> 로 불러오면 window.AttendTimeSync 로 사용
+// - 한 번 동기화할 때 /api/server-time 을 여러 번 호출해 왕복 시간(RTT)이 가장 짧은 샘플만 쓴다.
+//   (느린 요청 하나 때문에 수업 내내 delta가 틀어지지 않도록)
+//     offset      = serverTime - (요청 시각 + RTT/2)
+//     uncertainty = RTT/2 + 0.5 (요청/응답 지연이 비대칭일 수 있는 최대 범위 + 서버 시각의 ms 반올림)
+// - 주기적으로 다시 동기화하고, 최근 offset 기록의 기울기로 시계 drift(ppm)를 추정해
+//   다음 동기화 전까지의 offset을 보정한다.
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.AttendTimeSync = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  // drift 추정에 쓰는 최소 관찰 구간 (너무 짧으면 RTT 잡음이 기울기로 보인다)
+  const MIN_DRIFT_SPAN_MS = 30000;
+
+  // 최소제곱 직선의 기울기 (ms/ms)
+  function slope(points) {
+    const n = points.length;
+    const meanX = points.reduce((s, p) => s + p.at, 0) / n;
+    const meanY = points.reduce((s, p) => s + p.offsetMs, 0) / n;
+    let num = 0;
+    let den = 0;
+    for (const p of points) {
+      num += (p.at - meanX) * (p.offsetMs - meanY);
+      den += (p.at - meanX) * (p.at - meanX);
+    }
+    return den > 0 ? num / den : 0;
+  }
+
+  // options.url        : 서버 시각 API (응답 { serverTime })
+  // options.samples    : 동기화 1회당 샘플 수
+  // options.resyncMs   : 주기적 재동기화 간격
+  // options.historySize: drift 추정에 쓰는 최근 동기화 결과 수
+  function createTimeSync({
+    url = "/api/server-time",
+    samples = 5,
+    resyncMs = 60000,
+    historySize = 10,
+  } = {}) {
+    const history = []; // { at: 클라이언트 시각, offsetMs }
+    const listeners = new Set();
+    let timer = null;
+    const state = {
+      offsetMs: 0,
+      uncertaintyMs: null, // 아직 동기화 전이면 null
+      driftPpm: 0,
+      rttMs: null,
+      syncedAt: null, // 마지막 동기화 기준 클라이언트 시각
+    };
+
+    async function sample() {
+      const clientStart = Date.now();
+      const t0 = performance.now();
+      const res = await fetch(url, { cache: "no-store" });
+      const data = await res.json();
+      const rttMs = performance.now() - t0;
+      const at = clientStart + rttMs / 2;
+      return { rttMs, at, offsetMs: data.serverTime - at };
+    }
+
+    // 여러 번 샘플링해서 RTT가 가장 짧은 것으로 offset 갱신. 모두 실패하면 이전 값 유지
+    async function sync() {
+      let best = null;
+      for (let i = 0; i < samples; i++) {
+        try {
+          const s = await sample();
+          if (!best || s.rttMs < best.rttMs) best = s;
+        } catch (e) {
+          console.warn("[TimeSync] 샘플 실패", e);
+        }
+      }
+      if (!best) return false;
+
+      history.push({ at: best.at, offsetMs: best.offsetMs });
+      if (history.length > historySize) history.shift();
+      const span = history[history.length - 1].at - history[0].at;
+      state.driftPpm = span >= MIN_DRIFT_SPAN_MS ? slope(history) * 1e6 : 0;
+
+      state.offsetMs = best.offsetMs;
+      state.rttMs = best.rttMs;
+      state.uncertaintyMs = best.rttMs / 2 + 0.5;
+      state.syncedAt = best.at;
+      for (const listener of listeners) listener(getState());
+      return true;
+    }
+
+    // 클라이언트 시각 clientMs 에서의 offset (마지막 동기화 이후 drift 보정 포함)
+    function offsetAt(clientMs) {
+      if (state.syncedAt === null) return state.offsetMs;
+      return (
+        state.offsetMs + (state.driftPpm / 1e6) * (clientMs - state.syncedAt)
+      );
+    }
+
+    // 서버 기준 현재 시각(ms)
+    function now() {
+      const clientNow = Date.now();
+      return clientNow + offsetAt(clientNow);
+    }
+
+    function getState() {
+      return { ...state, offsetMs: offsetAt(Date.now()) };
+    }
+
+    function start() {
+      stop();
+      timer = setInterval(sync, resyncMs);
+      return sync();
+    }
+
+    function stop() {
+      clearInterval(timer);
+      timer = null;
+    }
+
+    function onUpdate(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    }
+
+    return { sync, start, stop, now, getState, onUpdate };
+  }
+
+  return { createTimeSync };
+});
@@ -0,0 +1,59 @@
+// tokenkeys.js
+// 세션 토큰 키 교체 규칙 (브라우저 / Node 공용)
+// - 브라우저: <script src="/public/tokenkeys.js"> 로 불러오면 window.AttendTokenKeys 로 사용
+// - Node   : require("./public/tokenkeys") (lib/sessions.js, 서버 검증)
+// - 세션 키를 토큰 암호화에 그대로 쓰지 않고, 세션 시작부터 keyRotationMs 마다 바뀌는
+//   키 구간(epoch)별로 HKDF-SHA256(세션 키, salt 없음, info = keyInfo(epoch)) 로 파생한 키를 쓴다.
+//   (긴 수업에서도 키 하나로 만드는 토큰 수가 한 구간 분량을 넘지 않는다)
+// - payload v2 의 keyId 에는 epoch 의 하위 8비트를 넣는다.
+// - 구간이 바뀐 뒤 keyGraceMs 동안은 이전 구간 키로 만든 토큰도 받는다.
+// - keyRotationMs 가 없는 세션(키 교체 도입 전에 만든 세션)은 세션 키를 그대로 쓴다 (keyId 0).
+// - 실제 파생은 환경별로 한다: Node crypto.hkdfSync (lib/token.js) / WebCrypto HKDF (generator.js)
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.AttendTokenKeys = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  // 세션 키를 그대로 쓰는 세션인지
+  function rotates(session) {
+    return Boolean(session && session.keyRotationMs > 0);
+  }
+
+  // ts(서버 시계 기준 ms)에 토큰을 만들 때 쓰는 키 구간 (시작 전이면 0)
+  function keyEpochAt(session, ts) {
+    if (!rotates(session)) return 0;
+    return Math.max(0, Math.floor((ts - session.startAt) / session.keyRotationMs));
+  }
+
+  function keyIdOf(epoch) {
+    return epoch & 0xff;
+  }
+
+  // HKDF info 문자열
+  function keyInfo(epoch) {
+    return `qa-token-key:${epoch}`;
+  }
+
+  // ts 에 도착한 토큰을 만들었을 수 있는 키 구간 (확인할 순서대로)
+  // - 지금 구간
+  // - 구간이 바뀐 지 keyGraceMs 안이면 이전 구간
+  // - 다음 구간 시작까지 futureSkewMs 안이면 다음 구간 (교수 화면 시계가 조금 빠른 경우)
+  function acceptedEpochs(session, ts, { futureSkewMs = 500 } = {}) {
+    if (!rotates(session)) return [0];
+    const epoch = keyEpochAt(session, ts);
+    const epochStart = session.startAt + epoch * session.keyRotationMs;
+    const epochs = [epoch];
+    if (epoch > 0 && ts - epochStart <= (session.keyGraceMs || 0)) {
+      epochs.push(epoch - 1);
+    }
+    if (epochStart + session.keyRotationMs - ts <= futureSkewMs) {
+      epochs.push(epoch + 1);
+    }
+    return epochs;
+  }
+
+  return { rotates, keyEpochAt, keyIdOf, keyInfo, acceptedEpochs };
+});
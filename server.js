@@ -1,54 +1,337 @@
 // server.js
 // Node.js + Express 기반 서버
-// - GET /api/qr : QR 토큰 생성 (AES-256-GCM 암호화)
-// - POST /api/qr : QR 토큰 검증 및 delta / riskLevel 계산
-// - 정적 페이지: /, /generator, /attend
+// - GET /api/qr : server 검증 모드 세션의 QR 토큰 생성 (AES-256-GCM 암호화)
+//   (세션 / 출석 로그 / 명단 / 의심률 기준 API는 강의를 소유한 교수, 조회는 조교도 가능)
+// - POST /api/qr : 스캔 기록 (server 검증 모드면 토큰 검증 및 출석 판정까지 수행)
+// - POST /api/qr/batch : 네트워크 장애로 /attend 에 쌓였던 스캔 일괄 전송
+// - POST /api/qr/checkin : /attend 체크인 모드가 모은 토큰 여러 개를 한 번에 제출
+// - GET /api/attend-log : 세션별 출석 인증 로그 조회 (?since= 증분 조회)
+// - GET /api/sessions/:id/stream : 새 스캔 실시간 전달 (Server-Sent Events)
+// - /api/sessions : 수업 세션 생성 / 종료 / 목록 / 출석부 내보내기 / 수동 처리(override)
+// - /api/courses/:courseId/roster : 수강생 명단 등록 / 조회
+// - /api/courses/:courseId/scoring : 강의별 의심률 기준 (점수 모델 / 기준값) 조회 / 저장
+// - /api/courses/:courseId, /api/courses/:courseId/tas : 강의 소유자 / 조교 조회 / 지정
+// - /api/calibrations : 강의실 교정 시작 / 휴대폰 측정 보고 / 결과 조회 / 강의실 기준 적용
+// - /api/auth, /auth/oidc : 학생 / 교수 로그인 (로컬 계정 / 학교 계정 OIDC)
+// - /api/me/attendance, /api/me/stream : 학생 본인의 출석 기록 / 판정 실시간 알림
+// - 정적 페이지: /, /login, /generator (교수 / 조교 로그인 필요), /attend,
+//   /calibrate (교정 화면, 교수 로그인 필요), /calibrate/scan (교정 / 벤치마크 스캐너)
 
 require("dotenv").config();
 const express = require("express");
 const path = require("path");
 const crypto = require("crypto");
+const { createStore, isSafeId } = require("./lib/store");
+const { createSessionManager, SessionError } = require("./lib/sessions");
+const { createAttendance, scanTime } = require("./lib/attendance");
+const { createAnomalyTracker } = require("./lib/anomaly");
+const {
+  buildPayload,
+  encryptToken,
+  isTokenFormat,
+  tokenFingerprint,
+} = require("./lib/token");
+const {
+  EXPORT_FORMATS,
+  scanVerdict,
+  buildRoster,
+  studentSessionStatus,
+  exportRoster,
+} = require("./lib/report");
+const { createRosterManager } = require("./lib/roster");
+const { createScoringManager } = require("./lib/scoring");
+const { createCourseManager } = require("./lib/courses");
+const { createAuth, parseCookies } = require("./lib/auth");
+const { createOidcProvider, createMockIdp } = require("./lib/oidc");
+const { createHub, studentChannel } = require("./lib/hub");
+const { createRateLimiter, rateLimit } = require("./lib/ratelimit");
+const { createKeyring } = require("./lib/keyring");
+const { createCalibrationManager } = require("./lib/calibration");
 
 const app = express();
+// req.ip 계산에 X-Forwarded-For 를 믿을 프록시 (기본: 같은 기기의 ngrok 등 loopback 만)
+// - 학생이 헤더를 위조해 IP 기준 제한 / 군집 탐지를 피하지 못하도록 한다.
+app.set("trust proxy", process.env.TRUST_PROXY || "loopback");
 
 const PORT = process.env.PORT || 3000;
 
-// 간단한 출석 인증 로그 메모리 저장소
-// - POST /api/qr 요청이 성공할 때마다 한 줄씩 추가
+// 출석 인증 로그 영구 저장소 (lib/store.js, append-only JSONL)
+// - POST /api/qr 요청이 성공할 때마다 해당 세션 파일에 한 줄씩 추가
 // - GET /api/attend-log 에서 교수용 /generator 페이지로 전달
-const ATTEND_LOG = [];
-const MAX_ATTEND_LOG = 500;
-
-// --- QR용 AES-256-GCM 키 초기화 --- //
-// - .env에 QR_SECRET_KEY가 있으면 base64 디코딩 후 32바이트면 사용
-// - 없거나 잘못된 경우, 서버 시작 시 랜덤 32바이트 키를 한 번 생성하여 유지
-let QR_KEY;
-
-const secretKeyBase64 = process.env.QR_SECRET_KEY;
-
-if (secretKeyBase64) {
-  const buf = Buffer.from(secretKeyBase64, "base64");
-  if (buf.length === 32) {
-    QR_KEY = buf;
-    console.log("[QR_KEY] Loaded from env (QR_SECRET_KEY)");
-  } else {
-    console.warn(
-      "[QR_KEY] QR_SECRET_KEY is not 32 bytes after base64 decode. Ignoring and generating random key."
-    );
+// - 서버를 재시작해도 학기 전체 기록이 유지된다.
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, "data");
+const store = createStore(DATA_DIR);
+
+// --- QR용 AES-256-GCM 키 --- //
+// - 서버 마스터 키 (server 검증 모드 세션 키를 감싸는 키, lib/keyring.js)
+//   - QR_SECRET_KEYS="<id>:<base64>,..." (첫 번째가 현재 키) 또는 QR_SECRET_KEY (키 하나)
+//   - 둘 다 없으면 <DATA_DIR>/keys.json (권한 0600)에 만들어 두고 재시작 후에도 쓴다.
+//     QR_MASTER_KEY_ROTATE_DAYS (기본 90, 0이면 교체 안 함)가 지나면 시작할 때 새 키로 교체한다.
+//   - 키 값은 로그에 출력하지 않는다.
+// - 토큰 키 교체 (세션별 기본값, public/tokenkeys.js)
+//   - QR_KEY_ROTATION_MIN : 토큰 키 교체 주기 (기본 10분)
+//   - QR_KEY_GRACE_MS     : 교체 후 이전 키 토큰을 받아주는 시간 (기본 30000ms, 신선도 창보다 짧으면 신선도 창)
+const keyring = createKeyring({
+  env: process.env,
+  keyFile: path.join(DATA_DIR, "keys.json"),
+  maxAgeMs:
+    Number(process.env.QR_MASTER_KEY_ROTATE_DAYS ?? 90) * 24 * 60 * 60 * 1000,
+});
+// - QR_FRESH_WINDOW_MS : 토큰 생성 후 이 시간 안에 도착해야 유효 (세션별 기본값, 3000ms)
+const FRESH_WINDOW_MS = Number(process.env.QR_FRESH_WINDOW_MS || 3000);
+const sessions = createSessionManager(store, {
+  keyring,
+  lateAfterMin: Number(process.env.LATE_AFTER_MIN || 10),
+  freshWindowMs: FRESH_WINDOW_MS,
+  keyRotationMs: Number(process.env.QR_KEY_ROTATION_MIN || 10) * 60 * 1000,
+  keyGraceMs: Number(process.env.QR_KEY_GRACE_MS || 30000),
+});
+
+// server 검증 모드 세션의 스캔 판정
+const attendance = createAttendance(store, { freshWindowMs: FRESH_WINDOW_MS });
+
+// 강의별 수강생 명단 (명단이 있으면 미등록 학번 스캔 거부)
+const rosters = createRosterManager(store);
+// 강의별 의심률 기준 (점수 모델 / 기준값)
+const scoring = createScoringManager(store);
+// 강의 소유 교수 / 조교
+const courses = createCourseManager(store);
+// 강의실 교정 (CALIBRATION_MIN_DEVICES : 강의실 기준으로 적용하려면 필요한 휴대폰 수, 기본 3)
+const calibrations = createCalibrationManager(store, {
+  minDevices: Number(process.env.CALIBRATION_MIN_DEVICES || 3),
+});
+
+// 토큰 공유 / 재전송 / IP·기기 군집 탐지
+// - IP_CLUSTER_MIN : 같은 IP에서 이 인원 이상이 제출하면 shared_ip 플래그 (기본 2)
+const anomaly = createAnomalyTracker(store, {
+  ipClusterMin: Number(process.env.IP_CLUSTER_MIN || 2),
+});
+
+// SessionError → JSON 에러 응답, 그 외 예외는 500
+function sendError(res, err, label) {
+  if (err instanceof SessionError) {
+    return res.status(err.status).json({ ok: false, error: err.code });
   }
+  console.error(`${label} 오류:`, err);
+  return res.status(500).json({ ok: false, error: "internal_error" });
 }
 
-if (!QR_KEY) {
-  QR_KEY = crypto.randomBytes(32);
-  const generatedBase64 = QR_KEY.toString("base64");
-  console.log("[QR_KEY] Generated random 32-byte key for this run.");
-  console.log(
-    "[QR_KEY] (If you want to persist it, put this in .env as QR_SECRET_KEY)"
+// 세션별 실시간 스캔 이벤트 (SSE 구독자에게 전달)
+const hub = createHub();
+// anomalies 요약은 스캔마다 보내지 않고 세션별로 이 간격(ms)에 한 번만 보낸다.
+const ANOMALY_PUSH_INTERVAL_MS = 2000;
+const anomalyPushTimers = new Map();
+
+function scheduleAnomalyPush(sessionId) {
+  const key = String(sessionId);
+  if (anomalyPushTimers.has(key) || hub.subscriberCount(sessionId) === 0) return;
+  anomalyPushTimers.set(
+    key,
+    setTimeout(() => {
+      anomalyPushTimers.delete(key);
+      hub.publish(sessionId, "anomalies", anomaly.summarize(sessionId));
+    }, ANOMALY_PUSH_INTERVAL_MS)
+  );
+}
+
+// 학생 본인에게 출석 판정 알림 (GET /api/me/stream 을 구독 중일 때만)
+// - scan: 이번에 판정이 정해진 스캔 (수동 처리 알림이면 생략)
+// - 세션 최종 상태(studentSessionStatus)를 함께 보내 /attend 가 기록 표도 바로 갱신할 수 있게 한다.
+function publishStudentDecision(session, studentId, scan) {
+  const channel = studentChannel(studentId);
+  if (hub.subscriberCount(channel) === 0) return;
+  const scans = store.listStudentScans(session.id, studentId);
+  hub.publish(channel, "decision", {
+    session: sessions.toPublic(session),
+    ...(scan && {
+      scan: {
+        id: scan.id,
+        verdict: scanVerdict(session, scan, attendance),
+        delta: typeof scan.delta === "number" ? scan.delta : null,
+        flags: scan.flags || [],
+      },
+    }),
+    ...studentSessionStatus(session, studentId, scans, { attendance }),
+  });
+}
+
+// Server-Sent Events 응답 시작: 헤더와 재연결 간격을 보내고 send(event, data, id?) 를 돌려준다.
+// - 프록시가 유휴 연결을 끊지 않도록 주기적으로 주석 줄을 보내고, 연결이 끊기면 onClose 호출
+function openEventStream(req, res, onClose) {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    // ngrok 등 프록시가 응답을 모아서 보내지 않도록
+    "X-Accel-Buffering": "no",
+  });
+  res.write("retry: 3000\n\n");
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), 15000);
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    onClose();
+  });
+  return (event, data, id) => {
+    if (id !== undefined) res.write(`id: ${id}\n`);
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+}
+
+// 학교 계정(OIDC) 로그인 설정 (선택)
+// - OIDC_ISSUER / OIDC_CLIENT_ID / OIDC_CLIENT_SECRET : 실제 IdP 정보
+// - OIDC_MOCK=1 : 실제 IdP 대신 /mock-oidc 에 개발용 가짜 IdP를 띄워 사용
+// - PUBLIC_URL : 외부에서 접속하는 주소 (ngrok 등, 콜백 URL 생성용)
+const PUBLIC_URL = (
+  process.env.PUBLIC_URL || `http://localhost:${PORT}`
+).replace(/\/$/, "");
+const OIDC_MOCK = process.env.OIDC_MOCK === "1";
+const oidcConfig = {
+  issuer: process.env.OIDC_ISSUER || (OIDC_MOCK ? `${PUBLIC_URL}/mock-oidc` : ""),
+  clientId: process.env.OIDC_CLIENT_ID || (OIDC_MOCK ? "qr-attendance" : ""),
+  clientSecret:
+    process.env.OIDC_CLIENT_SECRET || (OIDC_MOCK ? "mock-secret" : ""),
+  redirectUri: `${PUBLIC_URL}/auth/oidc/callback`,
+  studentIdClaim: process.env.OIDC_STUDENT_ID_CLAIM || "student_id",
+  // OIDC_STUDENT_ID_FALLBACK=1 : 학번 클레임이 없으면 preferred_username / sub 를 학번으로 사용
+  studentIdFallback: process.env.OIDC_STUDENT_ID_FALLBACK === "1",
+};
+const oidc = oidcConfig.issuer ? createOidcProvider(oidcConfig) : null;
+
+// --- 학생 / 교수 인증 --- //
+// - AUTH_SECRET : 로그인 토큰 서명 키 (없으면 가장 오래된 마스터 키에서 파생 → 마스터 키를 교체해도 로그인 유지)
+// - PROFESSOR_INVITE_CODE : 교수 계정 가입용 초대 코드 (없으면 교수 계정을 만들 수 없다)
+// - LOCAL_STUDENT_REGISTRATION : 로컬 학생 계정 가입 허용 여부 ("1" / "0")
+//   기본값은 학교 계정(OIDC)이 설정되어 있으면 "0" - 남의 학번을 먼저 가입해 차지하지 못하도록
+//   학생은 학교 계정으로만 들어온다. (교수 계정 가입은 초대 코드로 계속 가능)
+const authSecret =
+  process.env.AUTH_SECRET || keyring.deriveSecret("qa-auth-session");
+const auth = createAuth(store, {
+  secret: authSecret,
+  professorInviteCode: process.env.PROFESSOR_INVITE_CODE || "",
+  localStudentRegistration: process.env.LOCAL_STUDENT_REGISTRATION
+    ? process.env.LOCAL_STUDENT_REGISTRATION === "1"
+    : !oidc,
+});
+if (!process.env.PROFESSOR_INVITE_CODE) {
+  console.warn(
+    "[AUTH] PROFESSOR_INVITE_CODE가 설정되지 않아 교수 계정을 새로 만들 수 없습니다."
+  );
+}
+
+// --- 강의 권한 --- //
+// - level "read" : 강의 소유 교수 또는 조교 / "owner" : 소유 교수만
+// 라우트의 세션(:id 또는 ?sessionId=)을 찾아 권한을 확인하고 res.locals.session 에 담는다.
+function requireSessionAccess(level) {
+  return (req, res, next) => {
+    const session = sessions.getSession(req.params.id ?? req.query.sessionId);
+    if (!session) {
+      return res.status(404).json({ ok: false, error: "unknown_session" });
+    }
+    const access = courses.accessOf(session.courseId, req.user);
+    if (!access || (level === "owner" && access !== "owner")) {
+      return res.status(403).json({ ok: false, error: "forbidden" });
+    }
+    res.locals.session = session;
+    res.locals.access = access;
+    next();
+  };
+}
+
+const canReadSession = [auth.requireUser, requireSessionAccess("read")];
+const ownsSession = [auth.requireUser, requireSessionAccess("owner")];
+
+// 라우트의 강의(:courseId) 조회 권한 확인 (쓰기는 라우트에서 courses.claimCourse)
+function requireCourseRead(req, res, next) {
+  if (!courses.accessOf(req.params.courseId, req.user)) {
+    return res.status(403).json({ ok: false, error: "forbidden" });
+  }
+  next();
+}
+const canReadCourse = [auth.requireUser, requireCourseRead];
+
+// 라우트의 교정(:id)을 시작한 교수인지 확인하고 res.locals.calibration 에 담는다.
+function requireCalibrationOwner(req, res, next) {
+  const calibration = calibrations.getCalibration(req.params.id);
+  if (!calibration) {
+    return res.status(404).json({ ok: false, error: "calibration_not_found" });
+  }
+  if (
+    calibration.ownerId !== req.user.id ||
+    courses.accessOf(calibration.courseId, req.user) !== "owner"
+  ) {
+    return res.status(403).json({ ok: false, error: "forbidden" });
+  }
+  res.locals.calibration = calibration;
+  next();
+}
+const ownsCalibration = [auth.requireProfessor, requireCalibrationOwner];
+
+// 교정 보고는 그 강의의 수강생(명단 기준, lib/roster.js isEnrolled) 또는 강의 교수 / 조교만
+function requireCalibrationReporter(req, res, next) {
+  const calibration = calibrations.getCalibration(req.params.id);
+  if (!calibration) {
+    return res.status(404).json({ ok: false, error: "calibration_not_found" });
+  }
+  if (
+    !courses.accessOf(calibration.courseId, req.user) &&
+    !rosters.isEnrolled(calibration.courseId, req.user.id)
+  ) {
+    return res.status(403).json({ ok: false, error: "unknown_student" });
+  }
+  next();
+}
+
+// 소유하거나 조교로 지정된 강의가 있는 계정 (/generator 접근)
+function isStaff(user) {
+  return Boolean(
+    user && (user.role === "professor" || courses.listCourseIds(user).length)
   );
-  console.log(`QR_SECRET_KEY=${generatedBase64}`);
 }
 
-app.use(express.json());
+// --- 요청 수 제한 --- //
+// - SCAN_RATE_PER_STUDENT : 학생 한 명이 1분에 보낼 수 있는 스캔 수 (batch / checkin 은 항목 수만큼 차감)
+// - SCAN_RATE_PER_IP      : IP 하나에서 1분에 보낼 수 있는 스캔 수 (강의실 NAT 뒤 여러 학생 고려)
+// - AUTH_RATE_PER_IP      : IP 하나에서 1분에 시도할 수 있는 로그인 / 가입 횟수
+const RATE_WINDOW_MS = 60 * 1000;
+const scanStudentLimiter = createRateLimiter({
+  windowMs: RATE_WINDOW_MS,
+  max: Number(process.env.SCAN_RATE_PER_STUDENT || 120),
+});
+const scanIpLimiter = createRateLimiter({
+  windowMs: RATE_WINDOW_MS,
+  max: Number(process.env.SCAN_RATE_PER_IP || 2000),
+});
+const authIpLimiter = createRateLimiter({
+  windowMs: RATE_WINDOW_MS,
+  max: Number(process.env.AUTH_RATE_PER_IP || 20),
+});
+
+// 요청 하나에 담긴 스캔 수
+function scanCount(req) {
+  const body = req.body || {};
+  if (Array.isArray(body.items)) return Math.max(1, body.items.length);
+  if (Array.isArray(body.frames)) return Math.max(1, body.frames.length);
+  return 1;
+}
+const limitScans = [
+  rateLimit(scanIpLimiter, (req) => req.ip, { cost: scanCount }),
+  rateLimit(scanStudentLimiter, (req) => (req.user ? req.user.id : null), {
+    cost: scanCount,
+  }),
+];
+const limitAuth = rateLimit(authIpLimiter, (req) => req.ip);
+
+// 스캔 / batch 요청은 수 KB면 충분하다.
+app.use(express.json({ limit: "64kb" }));
+// 명단 CSV 업로드용 (Content-Type: text/csv 또는 text/plain)
+app.use(express.text({ type: ["text/csv", "text/plain"], limit: "1mb" }));
+app.use(auth.attachUser);
+
+// 개발용 가짜 IdP (OIDC_MOCK=1 일 때만)
+if (OIDC_MOCK && !process.env.OIDC_ISSUER) {
+  app.use("/mock-oidc", createMockIdp(oidcConfig));
+  console.log(`[AUTH] Mock OIDC IdP: ${oidcConfig.issuer}`);
+}
 
 // 정적 파일 제공
 const publicDir = path.join(__dirname, "public");
@@ -59,112 +342,961 @@ app.get("/", (req, res) => {
   res.sendFile(path.join(publicDir, "index.html"));
 });
 
+// 교수 / 조교 로그인 페이지 (학생은 /attend 에서 로그인)
+app.get("/login", (req, res) => {
+  res.sendFile(path.join(publicDir, "login.html"));
+});
+
+// QR 송출 / 실시간 표: 로그인하지 않았으면 /login, 교수 / 조교가 아니면 403
 app.get("/generator", (req, res) => {
+  if (!req.user) return res.redirect("/login?next=/generator");
+  if (!isStaff(req.user)) {
+    return res.redirect("/login?denied=1&next=/generator");
+  }
   res.sendFile(path.join(publicDir, "generator.html"));
 });
 
 app.get("/attend", (req, res) => {
   res.sendFile(path.join(publicDir, "attend.html"));
 });
+
+// 강의실 교정 화면 (시험 패턴 송출 + 결과 표): 교수 계정만
+app.get("/calibrate", (req, res) => {
+  if (!req.user) return res.redirect("/login?next=/calibrate");
+  if (req.user.role !== "professor") {
+    return res.redirect("/login?denied=1&next=/calibrate");
+  }
+  res.sendFile(path.join(publicDir, "show.html"));
+});
+
+// 교정 / 벤치마크 스캐너: 측정은 누구나, 교정 보고는 로그인한 계정만 (/attend 로그인 사용)
+app.get("/calibrate/scan", (req, res) => {
+  res.sendFile(path.join(publicDir, "qr_detect.html"));
+});
+// 시계 동기화용 (timesync.js): 학생 스캐너도 쓰므로 로그인 없이 열어 둔다. 현재 시각 외에는 알려주지 않는다.
 app.get("/api/server-time", (req, res) => {
   res.json({ serverTime: Date.now() });
 });
 
-// GET /api/qr
-// - 10바이트 바이너리 payload를 생성 후 AES-256-GCM 으로 암호화
-//   구조 (총 10바이트):
-//   [0]      : version (1바이트, 현재 1)
-//   [1..4]   : tsLow = Date.now() & 0xffffffff (ms 단위 하위 32비트, uint32 BE)
-//   [5]      : roomCode (1바이트, 예: 1)
-//   [6..9]   : randomNonce (4바이트 난수)
-// - AES-256-GCM(iv 12바이트, authTag 16바이트) 로 암호화 후
-//   iv||tag||ciphertext 를 base64 로 인코딩하여 cipher 필드로 반환
-app.get("/api/qr", (req, res) => {
+// GET /api/qr?sessionId=<id>
+// - server 검증 모드 세션에서만 사용 가능 (browser 모드는 서버가 키를 모름)
+// - payload v2 (public/payload.js 참고)를 지금 키 구간의 토큰 키(public/tokenkeys.js)로 AES-256-GCM 암호화하여
+//   iv||ciphertext||authTag 를 base64 로 인코딩한 cipher 필드로 반환
+//   (교수 브라우저의 WebCrypto 토큰과 같은 형식)
+// - seq 는 세션별로 토큰마다 1씩 증가 (서버 재시작 시 다시 1부터)
+const qrSeqBySession = new Map();
+app.get("/api/qr", ownsSession, (req, res) => {
   try {
-    const nowMs = Date.now();
-    // ms 단위 시각의 하위 32비트만 사용 (약 49.7일 주기로 래핑)
-    const tsLow = (nowMs & 0xffffffff) >>> 0; // uint32
-    const version = 1;
-    const roomCode = 1;
+    const session = sessions.requireOpenSession(res.locals.session.id);
+    const now = Date.now();
+    const tokenKey = sessions.currentTokenKey(session, now);
+    if (!tokenKey) {
+      return res.status(409).json({ ok: false, error: "not_server_verified" });
+    }
+    const seq = (qrSeqBySession.get(session.id) || 0) + 1;
+    qrSeqBySession.set(session.id, seq);
+    const payload = buildPayload(now, {
+      sessionId: session.id,
+      seq,
+      keyId: tokenKey.keyId,
+      roomCode: session.roomCode,
+    });
+    res.json({ cipher: encryptToken(tokenKey.key, payload) });
+  } catch (err) {
+    sendError(res, err, "GET /api/qr");
+  }
+});
 
-    const payload = Buffer.alloc(10);
-    payload.writeUInt8(version, 0);
-    payload.writeUInt32BE(tsLow, 1);
-    payload.writeUInt8(roomCode, 5);
-    // 4바이트 난수 채우기
-    const nonceBuf = crypto.randomBytes(4);
-    nonceBuf.copy(payload, 6);
+// 스캐너(/attend)가 보고한 타이밍 정보 중 형식이 맞는 것만 골라낸다.
+// - clientCaptureTs          : QR이 찍힌 프레임을 가져온 시각 (스캐너가 맞춘 서버 시계 기준 ms)
+// - clientRttMs              : 스캐너 ↔ 서버 왕복 시간
+// - clientClockUncertaintyMs : 스캐너 시계 동기화의 불확실성
+// - clientScanRate           : 스캐너의 최근 디코딩 인식률 (0~1, /generator 적응형 송출이 참고)
+// 학생 기기가 스스로 보고한 값이므로 판정(verdict)에는 쓰지 않고 기록만 한다.
+// (대기열에서 늦게 전송된 스캔은 캡처 시각으로 세션 수락 여부만 보고, 판정은 교수 확인으로 미룬다)
+const CLIENT_TIMING_MAX_SKEW_MS = 10 * 60 * 1000;
+function parseClientTiming(body) {
+  const timing = {};
+  const { clientCaptureTs, clientRttMs, clientClockUncertaintyMs, clientScanRate } =
+    body;
+  if (
+    Number.isFinite(clientCaptureTs) &&
+    Math.abs(Date.now() - clientCaptureTs) <= CLIENT_TIMING_MAX_SKEW_MS
+  ) {
+    timing.clientCaptureTs = Math.round(clientCaptureTs);
+  }
+  if (Number.isFinite(clientRttMs) && clientRttMs >= 0) {
+    timing.clientRttMs = Math.round(clientRttMs);
+  }
+  if (Number.isFinite(clientClockUncertaintyMs) && clientClockUncertaintyMs >= 0) {
+    timing.clientClockUncertaintyMs = Math.ceil(clientClockUncertaintyMs);
+  }
+  if (Number.isFinite(clientScanRate) && clientScanRate >= 0 && clientScanRate <= 1) {
+    timing.clientScanRate = Math.round(clientScanRate * 100) / 100;
+  }
+  return timing;
+}
 
-    const iv = crypto.randomBytes(12); // GCM 권장 12바이트 IV
-    const cipher = crypto.createCipheriv("aes-256-gcm", QR_KEY, iv);
+// 대기열 스캔은 세션이 닫힌 뒤에도 이 시간 안에 도착하면 받는다 (캡처 시각이 종료 전일 때).
+// 이렇게 받은 스캔은 신선도 창을 넘겨 도착했으므로 "pending" 판정으로 교수 확인을 기다린다.
+const QUEUED_SCAN_GRACE_MS = 3 * 60 * 1000;
+// POST /api/qr/batch 한 번에 받는 최대 스캔 수
+const QR_BATCH_MAX = 50;
+// POST /api/qr/checkin 한 번에 받는 최대 프레임 수
+const CHECKIN_MAX_FRAMES = 10;
 
-    const ciphertext = Buffer.concat([cipher.update(payload), cipher.final()]);
-    const authTag = cipher.getAuthTag(); // 16바이트
+// 스캐너가 스캔마다 붙이는 id (public/attend.js scanBody). 같은 학생의 같은 id 는 같은 스캔이다.
+const CLIENT_SCAN_ID_RE = /^[A-Za-z0-9_-]{1,64}$/;
 
-    const combined = Buffer.concat([iv, authTag, ciphertext]);
-    const cipherBase64 = combined.toString("base64");
+// 저장된 스캔 → POST /api/qr 응답 본문
+function scanResponse(stored) {
+  return {
+    ok: true,
+    sessionId: stored.sessionId,
+    scanId: stored.id,
+    studentId: stored.studentId,
+    serverRecvTs: stored.serverRecvTs,
+    cipher: stored.cipher,
+    flags: stored.flags,
+    ...(stored.verdict && { verdict: stored.verdict, delta: stored.delta }),
+  };
+}
 
-    res.json({ cipher: cipherBase64 });
+// 스캔 한 건 검증 / 기록 후 응답 본문 반환 (실패하면 SessionError)
+// - clientScanId 가 이미 기록된 스캔과 같으면(응답을 못 받은 대기열 재전송) 다시 기록하지 않고
+//   그 스캔의 응답에 duplicate: true 를 붙여 돌려준다. (재전송 플래그 / 판정도 다시 하지 않는다)
+// - queued : /attend 대기열에서 늦게 전송된 스캔 (POST /api/qr/batch)
+// - checkin: 체크인 프레임 { id, offsetMs } (POST /api/qr/checkin)
+function recordScan(req, body, { queued = false, checkin = null } = {}) {
+  const { cipher, sessionId, deviceId, clientScanId } = body;
+  const clientTiming = parseClientTiming(body);
+  const studentId = req.user.id;
+
+  if (typeof cipher !== "string" || !cipher) {
+    throw new SessionError("invalid_request");
+  }
+  // QR 토큰 형식(base64 iv||ciphertext||tag, 길이 제한)이 아니면 저장하지 않는다.
+  if (!isTokenFormat(cipher)) {
+    throw new SessionError("invalid_cipher");
+  }
+
+  const serverRecvTs = Date.now();
+  const ip = req.ip;
+  const scan = {
+    logTime: new Date(serverRecvTs).toISOString(),
+    ip,
+    deviceId: typeof deviceId === "string" ? deviceId.slice(0, 64) : null,
+    ...(CLIENT_SCAN_ID_RE.test(String(clientScanId || "")) && { clientScanId }),
+    studentId,
+    cipher,
+    serverRecvTs,
+    ...clientTiming,
+    ...(queued && { queued: true }),
+    ...(checkin && {
+      checkinId: checkin.id,
+      checkinOffsetMs: checkin.offsetMs,
+    }),
+  };
+  const scanTs = scanTime(scan);
+  const captureTs =
+    typeof scan.clientCaptureTs === "number" ? scan.clientCaptureTs : scanTs;
+
+  const session = sessions.requireOpenSession(
+    sessionId,
+    queued ? { at: captureTs, graceMs: QUEUED_SCAN_GRACE_MS } : undefined
+  );
+  if (!rosters.isEnrolled(session.courseId, studentId)) {
+    console.warn(
+      `[QR_AUTH] 미등록 학번 거부 course=${session.courseId} studentId=${studentId}`
+    );
+    throw new SessionError("unknown_student", 403);
+  }
+  if (scan.clientScanId) {
+    const previous = store
+      .listStudentScans(session.id, studentId)
+      .find((s) => s.clientScanId === scan.clientScanId);
+    if (previous) return { ...scanResponse(previous), duplicate: true };
+  }
+
+  // 서버 로그 출력: timestamp, ip, studentId, 토큰 지문 (토큰 원문은 남기지 않는다)
+  console.log(
+    `[QR_AUTH] ts=${scan.logTime} ip=${ip} studentId=${studentId}${
+      queued ? ` queued=${serverRecvTs - captureTs}ms` : ""
+    } token=${tokenFingerprint(cipher)}`
+  );
+
+  // 대기열에서 신선도 창보다 늦게 도착한 스캔: 수신 시각으로는 이미 지난 토큰이고,
+  // 캡처 시각은 학생 기기가 보고한 값이라 그대로 믿으면 전달받은 토큰을 소급해서 낼 수 있다.
+  // → 캡처 시각 기준으로 토큰만 확인해 두고 판정은 "pending" (교수가 수동 처리로 확인)
+  const delayed =
+    queued &&
+    serverRecvTs - captureTs > (session.freshWindowMs || FRESH_WINDOW_MS);
+
+  // server 검증 모드면 교수 페이지 없이도 여기서 판정
+  let check = null;
+  if (sessions.getSessionKey(session)) {
+    const at = delayed ? captureTs : scanTs;
+    check = attendance.verifyScan(
+      session,
+      sessions.acceptedTokenKeys(session, at),
+      cipher,
+      at
+    );
+  }
+  if (delayed && (!check || check.verdict !== "rejected")) {
+    check = {
+      verdict: "pending",
+      delta: check ? check.delta : null,
+      reason: "delayed_unverified",
+    };
+  }
+
+  const flags = anomaly.observe(session.id, {
+    courseId: session.courseId,
+    ...scan,
+  });
+  if (check && check.reason === "stale_token") flags.push("stale");
+  if (delayed) flags.push("delayed");
+  if (flags.length > 0) {
+    console.log(`[QR_FLAG] studentId=${studentId} flags=${flags.join(",")}`);
+  }
+
+  // 세션별 출석 로그 파일에 추가 (생성자 페이지에서 조회용)
+  const stored = store.appendScan(session.id, {
+    courseId: session.courseId,
+    ...scan,
+    flags,
+    ...(check && {
+      verdict: check.verdict,
+      delta: check.delta,
+      reason: check.reason,
+    }),
+  });
+  if (check) {
+    if (check.verdict !== "pending") {
+      attendance.recordVerdict(session, studentId, check, scanTs);
+    }
+    publishStudentDecision(session, studentId, stored);
+  }
+  hub.publish(session.id, "scan", stored);
+  if (flags.length > 0) scheduleAnomalyPush(session.id);
+
+  return scanResponse(stored);
+}
+
+// 여러 건을 한 요청으로 받는 라우트용: 실패해도 예외 대신 { ok: false, error } 항목으로 반환
+function tryRecordScan(req, body, options, label) {
+  try {
+    return recordScan(req, body, options);
   } catch (err) {
-    console.error("GET /api/qr 오류:", err);
-    res.status(500).json({ error: "internal_error" });
+    if (err instanceof SessionError) return { ok: false, error: err.code };
+    console.error(`${label} 오류:`, err);
+    return { ok: false, error: "internal_error" };
   }
-});
+}
 
 // POST /api/qr
-// - body: { cipher: "<브라우저가 생성한 QR 텍스트>", studentId }
-// - 복호화/검증은 하지 않고, 학생 정보 + QR 텍스트 + 서버 수신 시각만 기록
-// - 최종 delta / risk / label 계산은 /generator 페이지에서 수행
-app.post("/api/qr", (req, res) => {
-  const { cipher, studentId } = req.body || {};
+// - 로그인 필요 (학번은 body가 아니라 로그인한 계정에서 가져온다)
+// - 응답의 scanId 로 나중에 GET /api/me/stream 의 판정 알림과 맞춰 볼 수 있다.
+// - body: { cipher: "<브라우저가 생성한 QR 텍스트>", sessionId, deviceId?, clientScanId?,
+//           clientCaptureTs?, clientRttMs?, clientClockUncertaintyMs?, clientScanRate? }
+// - clientScanId 가 같은 스캔을 다시 보내면 새로 기록하지 않고 처음 응답을 돌려준다 (duplicate: true)
+// - QR 토큰 형식이 아닌 cipher 는 거부 (400 invalid_cipher)
+// - 존재하지 않거나 이미 종료된 세션에 대한 스캔은 거부 (404 / 409)
+// - 학생 / IP별로 1분에 보낼 수 있는 스캔 수를 넘으면 429 (batch / checkin 과 합산)
+// - 강의에 수강생 명단이 등록되어 있으면 명단에 없는 학번은 거부 (403)
+// - 토큰 공유 / 재전송 / IP·기기 군집은 flags 로 표시만 하고 기록은 그대로 남긴다 (lib/anomaly.js)
+// - browser 검증 모드: 복호화/검증은 하지 않고, 학생 정보 + QR 텍스트 + 서버 수신 시각만 기록
+//   (최종 delta / risk / label 계산은 /generator 페이지에서 수행)
+// - server 검증 모드: 서버가 세션 키로 토큰을 검증하여 verdict / delta 를 함께 기록하고,
+//   학생별 최종 출석 상태(present / late / rejected)를 갱신
+app.post("/api/qr", auth.requireUser, limitScans, (req, res) => {
+  try {
+    res.json(recordScan(req, req.body || {}));
+  } catch (err) {
+    sendError(res, err, "POST /api/qr");
+  }
+});
 
-  if (!cipher || !studentId) {
+// POST /api/qr/batch
+// - 로그인 필요. 네트워크 장애로 /attend 대기열(IndexedDB)에 쌓였던 스캔을 한 번에 전송
+// - body: { items: [POST /api/qr 와 같은 body, ...] } (최대 QR_BATCH_MAX 개)
+// - 항목별로 처리하여 results 에 같은 순서로 POST /api/qr 응답 또는 { ok: false, error } 반환
+//   (응답을 못 받아 다시 보낸 항목은 clientScanId 로 알아보고 처음 기록한 스캔을 돌려준다)
+// - 판정은 POST /api/qr 와 같이 서버 수신 시각 기준이다. 캡처 시각(clientCaptureTs)은 기기가 보고한 값이므로
+//   - 그 시각에 열려 있던 세션이면, 종료 후 QUEUED_SCAN_GRACE_MS 안에 도착한 스캔도 받는 데만 쓴다.
+//   - 신선도 창보다 늦게 도착한 스캔은 "delayed" 플래그와 함께 판정 "pending"으로 기록한다.
+//     (server 모드는 캡처 시각 기준으로 토큰이 맞는지만 확인해 두고, 출석 인정은 교수 수동 처리로)
+app.post("/api/qr/batch", auth.requireUser, limitScans, (req, res) => {
+  const items = req.body && req.body.items;
+  if (!Array.isArray(items) || items.length === 0) {
     return res.status(400).json({ ok: false, error: "invalid_request" });
   }
+  if (items.length > QR_BATCH_MAX) {
+    return res.status(400).json({ ok: false, error: "batch_too_large" });
+  }
+  const results = items.map((item) =>
+    tryRecordScan(req, item || {}, { queued: true }, "POST /api/qr/batch")
+  );
+  res.json({ ok: true, results });
+});
 
-  const serverRecvTs = Date.now();
+// 체크인 프레임별 캡처 간격(checkinOffsetMs) 계산
+// - ageMs 는 학생 기기가 보고한 값이므로 server 검증 모드에서 복호화 / 세션 확인을 통과한 프레임끼리만 비교한다.
+//   (아무 값이나 넣은 가짜 프레임을 ageMs 0 으로 섞어 다른 프레임을 소급하지 못하도록)
+// - 간격은 세션의 신선도 창까지만 인정한다. 그보다 오래 기다린 프레임은 소급해도 신선하지 않다.
+// - 서버가 토큰을 확인할 수 없는 browser 모드 세션이나 확인된 프레임이 없으면 모두 0 (수신 시각으로 판정)
+function checkinOffsets(sessionId, frames) {
+  const session = sessions.getSession(sessionId);
+  const offsets = frames.map(() => 0);
+  if (!session || !sessions.getSessionKey(session)) return offsets;
+  const now = Date.now();
+  const tokenKeys = sessions.acceptedTokenKeys(session, now);
+  const verified = frames.map(
+    (f) => attendance.verifyScan(session, tokenKeys, f.cipher, now).delta !== null
+  );
+  const ages = frames.filter((f, i) => verified[i]).map((f) => f.ageMs);
+  if (ages.length === 0) return offsets;
+  const minAgeMs = Math.min(...ages);
+  const maxOffsetMs = session.freshWindowMs || FRESH_WINDOW_MS;
+  return frames.map((f, i) =>
+    verified[i] ? Math.round(Math.min(f.ageMs - minAgeMs, maxOffsetMs)) : 0
+  );
+}
 
-  // 서버 로그 출력: timestamp, ip, studentId, cipher
-  const logTime = new Date().toISOString();
-  const ip =
-    req.headers["x-forwarded-for"]?.toString().split(",")[0].trim() ||
-    req.socket.remoteAddress;
-  console.log(
-    `[QR_AUTH] ts=${logTime} ip=${ip} studentId=${studentId} cipher="${cipher}"`
+// POST /api/qr/checkin
+// - 로그인 필요. /attend 체크인 모드가 짧은 시간 동안 모은 서로 다른 토큰들을 하나의 출석 제출로 보낸다.
+// - body: { sessionId, deviceId?, clientRttMs?, clientClockUncertaintyMs?, clientScanRate?,
+//           frames: [{ cipher, ageMs, clientCaptureTs? }] } (최대 CHECKIN_MAX_FRAMES 개)
+//   ageMs = 그 프레임을 캡처한 뒤 전송할 때까지 지난 시간 (스캐너 기기의 단조 시계 기준)
+// - 프레임마다 스캔 한 건으로 기록하고 같은 checkinId 를 붙인다.
+//   먼저 찍힌 프레임은 모으는 동안 기다린 만큼 늦게 도착하므로,
+//   마지막 프레임 기준 캡처 간격(checkinOffsetMs = ageMs - 가장 작은 ageMs)을 수신 시각에서 뺀 시각을
+//   스캔 시각으로 본다. 기기 시계의 절대값이 아니라 간격만 쓰며, server 모드에서 검증된 프레임끼리만,
+//   세션의 신선도 창까지만 인정한다 (checkinOffsets).
+// - 응답: { ok, checkinId, results: [POST /api/qr 응답 또는 { ok: false, error }] } (frames 와 같은 순서)
+app.post("/api/qr/checkin", auth.requireUser, limitScans, (req, res) => {
+  const { frames, ...common } = req.body || {};
+  if (
+    !Array.isArray(frames) ||
+    frames.length === 0 ||
+    frames.length > CHECKIN_MAX_FRAMES ||
+    !frames.every(
+      (f) =>
+        f &&
+        typeof f.cipher === "string" &&
+        Number.isFinite(f.ageMs) &&
+        f.ageMs >= 0
+    ) ||
+    new Set(frames.map((f) => f.cipher)).size !== frames.length
+  ) {
+    return res.status(400).json({ ok: false, error: "invalid_request" });
+  }
+  const offsets = checkinOffsets(common.sessionId, frames);
+  const checkinId = crypto.randomUUID();
+  const results = frames.map(({ cipher, clientCaptureTs }, i) =>
+    tryRecordScan(
+      req,
+      { ...common, cipher, clientCaptureTs },
+      { checkin: { id: checkinId, offsetMs: offsets[i] } },
+      "POST /api/qr/checkin"
+    )
   );
+  res.json({ ok: true, checkinId, results });
+});
 
-  // 메모리 출석 로그에 추가 (생성자 페이지에서 조회용)
-  ATTEND_LOG.push({
-    id: ATTEND_LOG.length + 1,
-    logTime,
-    ip,
-    studentId,
-    cipher,
-    serverRecvTs,
+// GET /api/attend-log?sessionId=<id>&since=<scan id>
+// - 해당 세션의 출석 인증 시도 로그를 반환 (종료된 세션도 조회 가능)
+// - since 를 주면 그 id 이후에 추가된 스캔만 반환 (SSE를 못 쓰는 클라이언트의 증분 폴링용)
+// - 생성자(/generator) 페이지에서 학생별 delta / riskLevel 모니터링용
+// - anomalies: 학생별 토큰 공유 상대 / 같은 IP·기기를 쓴 다른 학번
+// - roster: 강의 수강생 명단 (없으면 null, 결석자 표시용)
+app.get("/api/attend-log", canReadSession, (req, res) => {
+  const session = res.locals.session;
+  const since = parseInt(req.query.since, 10) || 0;
+  const items = store.listScansSince(session.id, since);
+  res.json({
+    session: sessions.toPublic(session),
+    items,
+    lastId: items.length ? items[items.length - 1].id : since,
+    anomalies: anomaly.summarize(session.id),
+    roster: rosters.getRoster(session.courseId),
+    scoring: scoring.getSessionScoring(session),
+    overrides: attendance.listOverrides(session.id),
+    access: res.locals.access,
+  });
+});
+
+// GET /api/sessions/:id/stream?since=<scan id>
+// - Server-Sent Events 로 새 스캔을 바로 전달한다.
+//   event: scan       data: 스캔 레코드 (id: 스캔 id → 재연결 시 Last-Event-ID 로 이어받기)
+//   event: anomalies  data: 학생별 공유/군집 요약 (변경 시 최대 2초에 한 번)
+//   event: session    data: 세션 정보 (종료되면 다시 전달)
+//   event: override   data: 교수 수동 처리 (status가 null이면 해제)
+// - 연결 직후 since (또는 Last-Event-ID) 이후의 스캔을 먼저 보내고 실시간 전달로 넘어간다.
+app.get("/api/sessions/:id/stream", canReadSession, (req, res) => {
+  const session = res.locals.session;
+  let unsubscribe = () => {};
+  const send = openEventStream(req, res, () => unsubscribe());
+
+  send("session", sessions.toPublic(session));
+  const since =
+    parseInt(req.headers["last-event-id"], 10) ||
+    parseInt(req.query.since, 10) ||
+    0;
+  for (const scan of store.listScansSince(session.id, since)) {
+    send("scan", scan, scan.id);
+  }
+  send("anomalies", anomaly.summarize(session.id));
+
+  unsubscribe = hub.subscribe(session.id, (event, data) => {
+    send(event, data, event === "scan" ? data.id : undefined);
+  });
+});
+
+// --- 수업 세션 API --- //
+
+// POST /api/sessions
+// - body: { courseId, roomCode, startAt?, endAt?, verifyMode?, lateAfterMin?, keyRotationMin? }
+//   (시각은 ISO 문자열 또는 epoch ms, verifyMode는 "browser"(기본) 또는 "server")
+// - 새 세션을 open 상태로 생성하여 반환
+// - 처음 쓰는 강의면 로그인한 교수가 소유자가 된다. 다른 교수의 강의면 403 not_course_owner
+// - server 모드면 교수 브라우저가 같은 키로 토큰을 만들 수 있도록 sessionKey(base64)를 함께 반환
+//   (교수 브라우저는 세션의 keyRotationMs 마다 이 키에서 새 토큰 키를 파생한다)
+app.post("/api/sessions", auth.requireProfessor, (req, res) => {
+  try {
+    const body = req.body || {};
+    if (!body.courseId || !isSafeId(body.courseId)) {
+      throw new SessionError("invalid_course");
+    }
+    courses.claimCourse(body.courseId, req.user);
+    // 강의실 교정 결과가 있으면 세션에 고정해 둔다. (클라이언트가 보낸 calibration 은 쓰지 않음)
+    const room = calibrations.getRoomProfile(body.courseId, Number(body.roomCode ?? 1));
+    const session = sessions.createSession({
+      ...body,
+      calibration: room
+        ? {
+            calibrationId: room.calibrationId,
+            baselineMs: room.profile.baselineMs,
+            scoring: room.scoring,
+            appliedAt: room.appliedAt,
+          }
+        : null,
+    });
+    console.log(
+      `[SESSION] open id=${session.id} course=${session.courseId} room=${session.roomCode} verify=${session.verifyMode}` +
+        (room ? ` calibration=${room.calibrationId}` : "")
+    );
+    const key = sessions.getSessionKey(session);
+    res.status(201).json({
+      ok: true,
+      session: sessions.toPublic(session),
+      ...(key && { sessionKey: key.toString("base64") }),
+    });
+  } catch (err) {
+    sendError(res, err, "POST /api/sessions");
+  }
+});
+
+// POST /api/sessions/:id/close
+// - 세션을 종료하여 이후 스캔을 거부한다. (이미 종료된 세션이면 그대로 반환)
+app.post("/api/sessions/:id/close", ownsSession, (req, res) => {
+  try {
+    const session = sessions.closeSession(res.locals.session.id);
+    qrSeqBySession.delete(session.id);
+    console.log(`[SESSION] close id=${session.id}`);
+    hub.publish(session.id, "session", sessions.toPublic(session));
+    res.json({ ok: true, session: sessions.toPublic(session) });
+  } catch (err) {
+    sendError(res, err, "POST /api/sessions/:id/close");
+  }
+});
+
+// GET /api/sessions?courseId=&status=open|closed
+// - 로그인한 계정이 소유하거나 조교로 지정된 강의의 세션 목록 (최신순)
+//   각 세션에 access ("owner" | "ta")를 붙인다.
+app.get("/api/sessions", auth.requireUser, (req, res) => {
+  const { courseId, status } = req.query;
+  const access = new Map(
+    courses.listCourseIds(req.user).map((id) => [
+      id,
+      courses.accessOf(id, req.user),
+    ])
+  );
+  res.json({
+    items: sessions
+      .listSessions({ courseId, status })
+      .filter((s) => access.has(s.courseId))
+      .map((s) => ({
+        ...sessions.toPublic(s),
+        access: access.get(s.courseId),
+      })),
+  });
+});
+
+// GET /api/sessions/:id
+app.get("/api/sessions/:id", canReadSession, (req, res) => {
+  const session = res.locals.session;
+  res.json({ ok: true, session: sessions.toPublic(session) });
+});
+
+// GET /api/sessions/:id/key
+// - server 모드 세션 키 재발급 (교수 탭을 새로고침한 뒤 같은 세션으로 QR 송출을 이어갈 때,
+//   /generator "이 세션으로 송출 재개" → generator.js resumeSession)
+app.get("/api/sessions/:id/key", ownsSession, (req, res) => {
+  const session = res.locals.session;
+  const key = sessions.getSessionKey(session);
+  if (!key) {
+    return res.status(409).json({ ok: false, error: "not_server_verified" });
+  }
+  res.json({ ok: true, sessionKey: key.toString("base64") });
+});
+
+// GET /api/sessions/:id/attendance
+// - server 모드 세션의 학생별 최종 출석 판정 (present / late / rejected)
+app.get("/api/sessions/:id/attendance", canReadSession, (req, res) => {
+  const session = res.locals.session;
+  res.json({
+    session: sessions.toPublic(session),
+    items: attendance.listAttendance(session.id),
   });
-  if (ATTEND_LOG.length > MAX_ATTEND_LOG) {
-    ATTEND_LOG.splice(0, ATTEND_LOG.length - MAX_ATTEND_LOG);
+});
+
+// POST /api/sessions/:id/overrides
+// - 교수가 학생 상태를 직접 지정 (종료된 세션도 가능: 수업 후 이의 제기 처리)
+// - body: { studentId, status: present|late|absent|excused|proxy|auto, reason } (reason 필수)
+//   status "auto" 는 수동 처리를 해제하고 자동 판정으로 되돌린다.
+// - 모든 변경은 변경한 사람 / 시각 / 이전 상태와 함께 감사 로그(audit)에 남는다.
+app.post("/api/sessions/:id/overrides", ownsSession, (req, res) => {
+  const session = res.locals.session;
+  const { studentId, status, reason } = req.body || {};
+  const actor = req.user.id;
+  try {
+    const override = attendance.setOverride(
+      session,
+      studentId,
+      { status, reason },
+      actor
+    );
+    console.log(
+      `[OVERRIDE] session=${session.id} studentId=${studentId} status=${override.status} actor=${actor}`
+    );
+    hub.publish(session.id, "override", override);
+    publishStudentDecision(session, override.studentId);
+    res.json({ ok: true, override });
+  } catch (err) {
+    sendError(res, err, "POST /api/sessions/:id/overrides");
   }
+});
 
+// GET /api/sessions/:id/overrides
+// - 현재 유효한 수동 처리 목록과 전체 변경 이력(audit, 오래된 순)
+app.get("/api/sessions/:id/overrides", canReadSession, (req, res) => {
+  const session = res.locals.session;
   res.json({
     ok: true,
-    studentId,
-    serverRecvTs,
-    cipher,
+    items: attendance.listOverrides(session.id),
+    audit: attendance.listAudit(session.id),
   });
 });
 
-// GET /api/attend-log
-// - 최근 출석 인증 시도 로그를 반환
-// - 생성자(/generator) 페이지에서 학생별 delta / riskLevel 모니터링용
-app.get("/api/attend-log", (req, res) => {
+// POST /api/sessions/:id/deltas
+// - browser 검증 모드 세션에서 교수 페이지가 계산한 스캔별 delta를 서버에 보고
+// - body: { items: [{ id: <scan id>, delta: <ms> }] }
+// - 이미 delta가 있는 스캔(서버 검증 / 이전 보고)은 덮어쓰지 않는다.
+// - delta가 정해진 스캔은 같은 판정 기준으로 학생 본인에게 알린다 (GET /api/me/stream).
+app.post("/api/sessions/:id/deltas", ownsSession, (req, res) => {
+  const session = res.locals.session;
+  if (session.verifyMode === "server") {
+    return res.status(409).json({ ok: false, error: "server_verified" });
+  }
+  const items = Array.isArray(req.body && req.body.items) ? req.body.items : [];
+  let updated = 0;
+  for (const { id, delta, uncertaintyMs } of items) {
+    if (!Number.isInteger(id) || !Number.isFinite(delta)) continue;
+    const scan = store.getScan(session.id, id);
+    // 판정 대기(pending) 스캔은 교수 확인 전까지 delta로 판정하지 않는다.
+    if (!scan || scan.verdict || typeof scan.delta === "number") continue;
+    const next = store.updateScan(session.id, id, {
+      delta: Math.round(delta),
+      ...(Number.isFinite(uncertaintyMs) &&
+        uncertaintyMs >= 0 && { deltaUncertaintyMs: Math.ceil(uncertaintyMs) }),
+    });
+    publishStudentDecision(session, next.studentId, next);
+    updated += 1;
+  }
+  res.json({ ok: true, updated });
+});
+
+// GET /api/sessions/:id/export?format=csv|xlsx|json&basis=raw|capture
+// - 세션의 최종 출석부 (학번, 첫/마지막 스캔 시각, 횟수, 평균/최소/최대 delta, 의심률, 최종 상태)
+// - basis: 지연 기준 (/generator 의 "지연 기준"과 같게 넘긴다, 기본 raw)
+app.get("/api/sessions/:id/export", canReadSession, async (req, res) => {
+  const session = res.locals.session;
+  const format = String(req.query.format || "csv").toLowerCase();
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({ ok: false, error: "invalid_format" });
+  }
+  const basis = String(req.query.basis || "raw");
+  if (basis !== "raw" && basis !== "capture") {
+    return res.status(400).json({ ok: false, error: "invalid_basis" });
+  }
+  try {
+    const rows = buildRoster(session, store.listScans(session.id), {
+      attendance,
+      anomalies: anomaly.summarize(session.id),
+      roster: rosters.getRoster(session.courseId),
+      scoring: scoring.getSessionScoring(session),
+      basis,
+    });
+    const file = await exportRoster(sessions.toPublic(session), rows, format);
+    res.setHeader("Content-Type", file.contentType);
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="${file.filename}"`
+    );
+    res.send(file.body);
+  } catch (err) {
+    sendError(res, err, "GET /api/sessions/:id/export");
+  }
+});
+
+// --- 수강생 명단 API --- //
+
+// POST /api/courses/:courseId/roster
+// - body: CSV 텍스트 (Content-Type: text/csv), 열: studentId,name,section (헤더 선택)
+// - 기존 명단을 통째로 교체한다. (첫 세션을 열기 전에 올려도 된다)
+// - 처음 쓰는 강의면 로그인한 교수가 소유자가 된다.
+app.post("/api/courses/:courseId/roster", auth.requireProfessor, (req, res) => {
+  const { courseId } = req.params;
+  if (!isSafeId(courseId)) {
+    return res.status(400).json({ ok: false, error: "invalid_course" });
+  }
+  try {
+    courses.claimCourse(courseId, req.user);
+    const students = rosters.importRoster(courseId, req.body);
+    console.log(`[ROSTER] course=${courseId} students=${students.length}`);
+    res.json({ ok: true, count: students.length, items: students });
+  } catch (err) {
+    sendError(res, err, "POST /api/courses/:courseId/roster");
+  }
+});
+
+// GET /api/courses/:courseId/roster
+app.get("/api/courses/:courseId/roster", canReadCourse, (req, res) => {
+  const students = rosters.getRoster(req.params.courseId);
+  if (!students) {
+    return res.status(404).json({ ok: false, error: "no_roster" });
+  }
+  res.json({ ok: true, items: students });
+});
+
+// GET /api/courses/:courseId/scoring
+// - 강의의 의심률 기준 { model, params } (저장된 적 없으면 기본 Z-score 기준)
+// - 세션에 실제로 쓰는 기준은 GET /api/attend-log 의 scoring ({ model, params, source }, lib/scoring.js)
+app.get("/api/courses/:courseId/scoring", canReadCourse, (req, res) => {
+  res.json({ ok: true, scoring: scoring.getScoring(req.params.courseId) });
+});
+
+// POST /api/courses/:courseId/scoring
+// - body: { model: "zscore" | "iqr" | "calibrated", params: { ... } } (빠진 값은 모델 기본값)
+// - 강의의 의심률 기준을 교체 저장 (/generator 표와 출석부 내보내기에 함께 적용)
+//   강의실 교정 기준을 쓰던 세션도 이후에는 저장한 강의 기준을 쓴다.
+app.post("/api/courses/:courseId/scoring", auth.requireProfessor, (req, res) => {
+  const { courseId } = req.params;
+  if (!isSafeId(courseId)) {
+    return res.status(400).json({ ok: false, error: "invalid_course" });
+  }
+  try {
+    courses.claimCourse(courseId, req.user);
+    const saved = scoring.saveScoring(courseId, req.body || {});
+    console.log(`[SCORING] course=${courseId} model=${saved.model}`);
+    res.json({ ok: true, scoring: saved });
+  } catch (err) {
+    sendError(res, err, "POST /api/courses/:courseId/scoring");
+  }
+});
+
+// --- 강의 소유자 / 조교 API --- //
+
+// GET /api/courses/:courseId
+// - 강의 소유자 / 조교 목록과 로그인한 계정의 권한 (access: "owner" | "ta")
+app.get("/api/courses/:courseId", canReadCourse, (req, res) => {
+  const { id, ownerId, tas } = courses.getCourse(req.params.courseId);
   res.json({
-    items: ATTEND_LOG,
+    ok: true,
+    course: { id, ownerId, tas: tas || [] },
+    access: courses.accessOf(id, req.user),
   });
 });
 
-app.listen(PORT, "0.0.0.0", () => {
+// POST /api/courses/:courseId/tas
+// - body: { tas: [계정 id, ...] } (최대 20명) : 조교 목록 교체 (소유 교수만)
+// - 조교는 이 강의 세션의 출석 로그 / 실시간 표 / 출석부를 조회만 할 수 있다.
+//   조교 계정은 학생 계정이어도 되며, /generator 에 읽기 전용으로 들어올 수 있다.
+app.post("/api/courses/:courseId/tas", auth.requireUser, (req, res) => {
+  const { courseId } = req.params;
+  if (courses.accessOf(courseId, req.user) !== "owner") {
+    return res.status(403).json({ ok: false, error: "forbidden" });
+  }
+  try {
+    const course = courses.setTas(courseId, (req.body || {}).tas);
+    console.log(`[COURSE] tas course=${courseId} tas=${course.tas.join(",")}`);
+    res.json({
+      ok: true,
+      course: { id: course.id, ownerId: course.ownerId, tas: course.tas },
+    });
+  } catch (err) {
+    sendError(res, err, "POST /api/courses/:courseId/tas");
+  }
+});
+
+// --- 강의실 교정 API --- //
+
+// POST /api/calibrations
+// - body: { courseId, roomCode } : 교정을 open 상태로 시작 (30분 뒤 자동 종료)
+// - 교수 화면(/calibrate)이 TS=<서버 ms>;CAL=<id> 시험 패턴을 띄우고,
+//   학생 휴대폰은 /calibrate/scan?calibration=<id> 에서 측정해 보고한다.
+app.post("/api/calibrations", auth.requireProfessor, (req, res) => {
+  try {
+    const body = req.body || {};
+    if (!body.courseId || !isSafeId(body.courseId)) {
+      throw new SessionError("invalid_course");
+    }
+    courses.claimCourse(body.courseId, req.user);
+    const calibration = calibrations.startCalibration(body, req.user);
+    console.log(
+      `[CALIBRATION] open id=${calibration.id} course=${calibration.courseId} room=${calibration.roomCode}`
+    );
+    res.status(201).json({
+      ok: true,
+      calibration,
+      room: calibrations.getRoomProfile(calibration.courseId, calibration.roomCode),
+    });
+  } catch (err) {
+    sendError(res, err, "POST /api/calibrations");
+  }
+});
+
+// GET /api/calibrations/:id
+// - 교정 상태 + 기기별 측정 요약 + 제안 기준 (summary.ready 면 적용 가능)
+app.get("/api/calibrations/:id", ownsCalibration, (req, res) => {
+  const calibration = res.locals.calibration;
+  res.json({
+    ok: true,
+    calibration,
+    summary: calibrations.summarize(calibration.id),
+    room: calibrations.getRoomProfile(calibration.courseId, calibration.roomCode),
+  });
+});
+
+// POST /api/calibrations/:id/reports
+// - body: { deviceId, latencies: [캡처 지연 ms, ...], decodeMs?, rttMs?, decodeFps?, successRate?, engine? }
+// - 로그인한 계정의 휴대폰 측정 보고. 닫힌 교정이면 409 calibration_closed
+// - 강의 명단에 없는 학생이면 403 unknown_student (강의 교수 / 조교는 보고 가능)
+// - 기기는 계정 단위로 센다 (한 계정이 deviceId 를 여러 개 보내도 한 대)
+app.post(
+  "/api/calibrations/:id/reports",
+  auth.requireUser,
+  requireCalibrationReporter,
+  limitScans,
+  (req, res) => {
+    try {
+      const report = calibrations.addReport(req.params.id, req.body || {}, req.user);
+      res.status(201).json({ ok: true, samples: report.latencies.length });
+    } catch (err) {
+      sendError(res, err, "POST /api/calibrations/:id/reports");
+    }
+  }
+);
+
+// POST /api/calibrations/:id/close : 더 이상 보고를 받지 않는다.
+app.post("/api/calibrations/:id/close", ownsCalibration, (req, res) => {
+  const calibration = calibrations.closeCalibration(res.locals.calibration.id);
+  console.log(`[CALIBRATION] close id=${calibration.id}`);
+  res.json({ ok: true, calibration });
+});
+
+// POST /api/calibrations/:id/apply
+// - 측정 결과를 강의실(courseId + roomCode) 기준으로 저장하고 교정을 닫는다.
+//   이후 이 강의실에서 만드는 세션은 교정 기준("calibrated" 모델)으로 의심률을 계산한다.
+// - 측정한 기기가 모자라면 409 calibration_insufficient
+app.post("/api/calibrations/:id/apply", ownsCalibration, (req, res) => {
+  try {
+    const room = calibrations.applyCalibration(res.locals.calibration.id);
+    console.log(
+      `[CALIBRATION] apply id=${room.calibrationId} course=${room.courseId} room=${room.roomCode} ` +
+        `baseline=${room.profile.baselineMs}ms spread=${room.profile.spreadMs}ms devices=${room.profile.devices}`
+    );
+    res.json({ ok: true, room });
+  } catch (err) {
+    sendError(res, err, "POST /api/calibrations/:id/apply");
+  }
+});
+
+// --- 학생 인증 API --- //
+
+// GET /api/auth/config : /attend 로그인 화면 구성용
+app.get("/api/auth/config", (req, res) => {
+  res.json({
+    oidc: Boolean(oidc),
+    localRegistration: auth.localStudentRegistration,
+  });
+});
+
+// POST /api/auth/register
+// - body: { studentId, password, name?, inviteCode? } (비밀번호 8자 이상)
+// - inviteCode 를 보내면 교수 계정으로 가입 (PROFESSOR_INVITE_CODE 와 다르면 403)
+// - 로컬 학생 가입이 꺼져 있으면(LOCAL_STUDENT_REGISTRATION) inviteCode 없는 가입은 403 registration_disabled
+app.post("/api/auth/register", limitAuth, (req, res) => {
+  try {
+    const user = auth.register(req.body || {});
+    const token = auth.setSessionCookie(req, res, user.id);
+    res.status(201).json({ ok: true, user: auth.toPublicUser(user), token });
+  } catch (err) {
+    sendError(res, err, "POST /api/auth/register");
+  }
+});
+
+// POST /api/auth/login
+// - body: { studentId, password }
+// - 성공하면 세션 쿠키를 설정하고 같은 토큰을 token 필드로도 반환
+app.post("/api/auth/login", limitAuth, (req, res) => {
+  try {
+    const user = auth.login(req.body || {});
+    const token = auth.setSessionCookie(req, res, user.id);
+    res.json({ ok: true, user: auth.toPublicUser(user), token });
+  } catch (err) {
+    sendError(res, err, "POST /api/auth/login");
+  }
+});
+
+app.post("/api/auth/logout", (req, res) => {
+  auth.clearSessionCookie(res);
+  res.json({ ok: true });
+});
+
+// GET /api/auth/me : 현재 로그인한 계정 (없으면 401)
+app.get("/api/auth/me", auth.requireUser, (req, res) => {
+  res.json({ ok: true, user: auth.toPublicUser(req.user) });
+});
+
+// --- 학생 본인 출석 기록 API --- //
+
+// GET /api/me/attendance
+// - 로그인한 학생의 세션별 최종 상태 (최신 세션 순)
+//   { session, status, source, overrideReason, count, lastScanAt, flags }
+// - 스캔 / 수동 처리 기록이 있는 세션과, 명단에 등록된 강의의 세션(스캔이 없으면 결석)을 포함한다.
+app.get("/api/me/attendance", auth.requireUser, (req, res) => {
+  const studentId = req.user.id;
+  const items = [];
+  for (const session of sessions.listSessions()) {
+    const scans = store.listStudentScans(session.id, studentId);
+    const entry = studentSessionStatus(session, studentId, scans, {
+      attendance,
+    });
+    if (
+      scans.length === 0 &&
+      entry.source !== "override" &&
+      !rosters.getStudent(session.courseId, studentId)
+    ) {
+      continue;
+    }
+    items.push({ session: sessions.toPublic(session), ...entry });
+  }
+  res.json({ ok: true, items });
+});
+
+// GET /api/me/stream
+// - 로그인한 학생 본인의 출석 판정을 Server-Sent Events 로 전달한다.
+//   event: decision  data: { session, scan?, status, source, overrideReason, count, lastScanAt, flags }
+//   - server 검증 모드: 스캔을 검증한 직후
+//   - browser 검증 모드: 교수 페이지가 delta를 보고한 직후 (POST /api/sessions/:id/deltas)
+//   - 교수가 상태를 수동으로 지정하거나 해제했을 때 (scan 없음)
+app.get("/api/me/stream", auth.requireUser, (req, res) => {
+  let unsubscribe = () => {};
+  const send = openEventStream(req, res, () => unsubscribe());
+  unsubscribe = hub.subscribe(studentChannel(req.user.id), send);
+});
+
+// GET /auth/oidc/login → IdP 로그인 페이지로 이동
+// - CSRF 방지용 state 는 짧게 유지되는 HttpOnly 쿠키에 보관
+app.get("/auth/oidc/login", async (req, res) => {
+  if (!oidc) return res.status(404).send("OIDC 로그인이 설정되지 않았습니다.");
+  try {
+    const state = crypto.randomBytes(16).toString("base64url");
+    res.cookie("qa_oidc_state", state, {
+      httpOnly: true,
+      sameSite: "lax",
+      secure: req.secure,
+      maxAge: 10 * 60 * 1000,
+      path: "/auth/oidc",
+    });
+    res.redirect(await oidc.authorizationUrl(state));
+  } catch (err) {
+    console.error("GET /auth/oidc/login 오류:", err);
+    res.status(502).send("학교 계정 로그인 서버에 연결할 수 없습니다.");
+  }
+});
+
+// 학교 계정 로그인 거부 사유별 안내 문구
+const OIDC_LOGIN_ERRORS = {
+  account_conflict:
+    "이 학번은 이미 학교 계정이 아닌 계정으로 등록되어 있습니다. 관리자에게 문의하세요.",
+  missing_student_id_claim:
+    "학교 계정 정보에 학번이 없습니다. 관리자에게 문의하세요.",
+  invalid_student_id: "학교 계정의 학번 형식을 사용할 수 없습니다.",
+};
+
+// GET /auth/oidc/callback?code=&state= → 계정 확인 후 세션 쿠키 설정, /attend 로 이동
+app.get("/auth/oidc/callback", async (req, res) => {
+  if (!oidc) return res.status(404).send("OIDC 로그인이 설정되지 않았습니다.");
+  const { code, state } = req.query;
+  const expectedState = parseCookies(req.headers.cookie).qa_oidc_state;
+  res.clearCookie("qa_oidc_state", { path: "/auth/oidc" });
+  if (!code || !state || state !== expectedState) {
+    return res.status(400).send("잘못된 로그인 요청입니다. 다시 시도해 주세요.");
+  }
+  try {
+    const identity = await oidc.exchange(String(code));
+    const user = auth.upsertExternalUser(identity);
+    auth.setSessionCookie(req, res, user.id);
+    console.log(`[AUTH] oidc login studentId=${user.id}`);
+    res.redirect("/attend");
+  } catch (err) {
+    if (err instanceof SessionError) {
+      console.warn(`[AUTH] oidc login rejected: ${err.code}`);
+      return res
+        .status(err.status)
+        .send(OIDC_LOGIN_ERRORS[err.code] || "학교 계정 로그인을 처리할 수 없습니다.");
+    }
+    console.error("GET /auth/oidc/callback 오류:", err);
+    res.status(502).send("학교 계정 로그인에 실패했습니다.");
+  }
+});
+
+// 요청 본문 오류 (express.json / express.text)
+app.use((err, req, res, next) => {
+  if (err.type === "entity.too.large") {
+    return res.status(413).json({ ok: false, error: "payload_too_large" });
+  }
+  if (err.type === "entity.parse.failed") {
+    return res.status(400).json({ ok: false, error: "invalid_json" });
+  }
+  next(err);
+});
+
+const server = app.listen(PORT, "0.0.0.0", () => {
   console.log(`서버가 포트 ${PORT}에서 실행 중입니다. (0.0.0.0 바인딩)`);
+  console.log(`[Store] 출석 데이터 디렉터리: ${DATA_DIR}`);
 });
 
+// 종료 시 저장소 버퍼를 비우고 닫는다.
+function shutdown() {
+  server.close();
+  store.close().then(() => process.exit(0));
+}
+process.on("SIGINT", shutdown);
+process.on("SIGTERM", shutdown);
+
 